@@ -3,14 +3,72 @@
  * Handles message routing and long-running operations
  */
 import { RuleEngine, getUniquePaths } from './modules/RuleEngine.js'
-import { MailClient, findInboxFolder, sortPathsByDepth } from './modules/MailClient.js'
+import {
+	MailClient,
+	buildFolderMap,
+	expandFolderIds,
+	findInboxFolder,
+	getParentPath,
+	resolveDelimiter,
+	shouldExcludeEmail,
+	sortPathsByDepth
+} from './modules/MailClient.js'
+import {
+	getRulesCopy,
+	getPathChanges,
+	addPathChange,
+	getDelimiterSetting,
+	getExclusions,
+	getFilingLog,
+	addFilingBatch,
+	removeFilingBatch,
+	getDiscoveryQueue,
+	saveDiscoveryQueue,
+	getBackgroundScanState,
+	saveBackgroundScanState,
+	getPendingSenders,
+	savePendingSenders
+} from './modules/StorageManager.js'
+import { applyPathChanges, countAffectedRules, accountBaseOf } from './modules/UriRewriter.js'
+import { collisionKey, findCollisions, escapePath } from './modules/PathSanitizer.js'
+import {
+	createFilingMatcher,
+	needsHeaders,
+	countByTarget,
+	createFilingBatch,
+	returnsByFolder
+} from './modules/MessageFiling.js'
+import {
+	createRoutingCheck,
+	unmappedSenders,
+	mergeQueue,
+	pruneQueue,
+	shouldNotify
+} from './modules/DiscoveryQueue.js'
+import { compileExclusions } from './modules/ExclusionRules.js'
 import {
 	MESSAGE_ACTIONS,
 	MESSAGE_TYPES,
 	PORT_NAMES,
-	ERROR_MESSAGES
+	ERROR_MESSAGES,
+	LIMITS,
+	STORAGE_AREAS,
+	ALARM_NAMES,
+	DEFAULT_CONFIG,
+	NOTIFICATION_PREFIX,
+	QUEUE_HASH_PREFIX,
+	SCAN_MODES
 } from './config/constants.js'
-import { toSet } from './utils/data.js'
+import { toSet, unique, groupBy, chunk } from './utils/data.js'
+
+/**
+ * Get the hierarchy delimiter of an account (configured or detected)
+ * @param {string} accountId - Account ID
+ * @param {Array} folders - Array of folder objects
+ * @returns {Promise<string>} Hierarchy delimiter
+ */
+const getDelimiter = async (accountId, folders) =>
+	resolveDelimiter(await getDelimiterSetting(messenger)(accountId), folders)
 
 // ============================================================================
 // Analysis Functions
@@ -19,11 +77,11 @@ import { toSet } from './utils/data.js'
 /**
  * Build sets of existing folder paths
  * @param {Array} folders - Array of folder objects
- * @returns {Object} Object with exact and lowercase path sets
+ * @returns {Object} Object with exact and folded (case/normalisation) path sets
  */
 const buildExistingSets = (folders) => ({
 	exact: toSet(folders.map(f => f.cleanPath)),
-	lower: toSet(folders.map(f => f.cleanPath.toLowerCase()))
+	lower: toSet(folders.map(f => collisionKey(f.cleanPath)))
 })
 
 /**
@@ -35,7 +93,7 @@ const buildExistingSets = (folders) => ({
  */
 const isMissingPath = (existingSets, mergeCase, path) => {
 	if (existingSets.exact.has(path)) return false
-	if (mergeCase && existingSets.lower.has(path.toLowerCase())) return false
+	if (mergeCase && existingSets.lower.has(collisionKey(path))) return false
 	return true
 }
 
@@ -51,7 +109,15 @@ async function analyze(data) {
 
 	// Parse required folders from rules
 	const rules = RuleEngine.parse(data.filterContent)
-	const requiredPaths = getUniquePaths(rules)
+	const rulePaths = getUniquePaths(rules)
+
+	// Names containing the server delimiter would nest, so compare escaped paths
+	const delimiter = await getDelimiter(data.accountId, folders)
+	const escape = escapePath(delimiter)
+	const escaped = rulePaths
+		.filter(path => escape(path) !== path)
+		.map(path => ({ path, escaped: escape(path) }))
+	const requiredPaths = unique(rulePaths.map(escape))
 
 	// Find missing paths
 	const missing = requiredPaths.filter(path =>
@@ -62,7 +128,10 @@ async function analyze(data) {
 		accountId: data.accountId,
 		totalRules: rules.length,
 		totalLeafs: requiredPaths.length,
-		missing
+		missing,
+		collisions: findCollisions(requiredPaths, folders.map(f => f.cleanPath)),
+		delimiter,
+		escaped
 	}
 }
 
@@ -71,14 +140,66 @@ async function analyze(data) {
 // ============================================================================
 
 /**
- * Scan messages for unique senders
- * @param {Object} data - Scan data
- * @returns {Promise<Array>} Array of unique sender emails
+ * Convert a "YYYY-MM-DD" day to the start or end of that local day
+ * @param {string} day - Day from a date input
+ * @param {boolean} end - Whether to return the end of the day
+ * @returns {Date|undefined} Date or undefined without a day
+ */
+const dayBoundary = (day, end = false) =>
+	day ? new Date(`${day}T${end ? '23:59:59.999' : '00:00:00'}`) : undefined
+
+/**
+ * Send scan progress message
+ * @param {Object} port - Message port
+ * @param {number} scanned - Messages scanned so far
+ * @param {number|null} total - Messages to scan (null if unknown)
+ * @param {number} senders - Senders found so far
+ */
+const sendScanProgress = (port, scanned, total, senders) => {
+	port.postMessage({
+		type: MESSAGE_TYPES.PROGRESS,
+		current: scanned,
+		total,
+		senders
+	})
+}
+
+/**
+ * Scan messages of several folders (optionally with subfolders and a date range) for unique
+ * senders or recipients, leaving out the account's discovery exclusions
+ * @param {Object} data - Scan data {accountId, folderIds, includeSubfolders, fromDate, toDate, limit, mode, detectLists}
+ * @param {Object} port - Message port
+ * @param {Function} isCancelled - Returns true once the UI asked to stop
+ * @returns {Promise<Object>} {senders, lists, scanned, cancelled}
  */
-async function scanMessages(data) {
-	const folder = await messenger.folders.get(String(data.folderId))
-	const account = await messenger.accounts.get(folder.accountId)
-	return MailClient.getSenders(data.folderId, data.limit, account.identities)
+async function scanMessages(data, port, isCancelled) {
+	const [{ folders }, account, exclusions] = await Promise.all([
+		MailClient.scanAccount(data.accountId),
+		messenger.accounts.get(data.accountId),
+		getExclusions(messenger)(data.accountId)
+	])
+	const folderIds = expandFolderIds(folders, data.folderIds, data.includeSubfolders)
+
+	// Folder sizes only bound the work when no date range narrows it
+	const stored = data.fromDate || data.toDate ? null : await MailClient.countMessages(folderIds)
+	const total = stored === null ? (data.limit || null) : (data.limit ? Math.min(stored, data.limit) : stored)
+
+	return MailClient.getSenders(
+		{
+			folderIds,
+			fromDate: dayBoundary(data.fromDate),
+			toDate: dayBoundary(data.toDate, true),
+			limit: data.limit,
+			mode: data.mode,
+			detectLists: data.detectLists,
+			exclusions
+		},
+		account.identities,
+		({ scanned, senders }) => {
+			if (!isCancelled()) sendScanProgress(port, scanned, total, senders)
+		},
+		isCancelled
+	)
 }
 
 // ============================================================================
@@ -125,7 +246,7 @@ const sendFolderComplete = (port, path) => {
 const getParentId = (folderMap, inbox, pathParts, index) => {
 	if (index === 0) return inbox.id
 	
-	const parentPath = pathParts.slice(0, index).join('/').toLowerCase()
+	const parentPath = collisionKey(pathParts.slice(0, index).join('/'))
 	if (!folderMap.has(parentPath)) {
 		throw new Error(ERROR_MESSAGES.MISSING_PARENT(parentPath))
 	}
@@ -144,7 +265,7 @@ const createAndCache = async (folderMap, parentId, name) => {
 	const created = await MailClient.createFolder(parentId, name)
 	const createdPath = created.path.replace(/^\/+/, '')
 	
-	folderMap.set(createdPath.toLowerCase(), {
+	folderMap.set(collisionKey(createdPath), {
 		...created,
 		cleanPath: createdPath,
 		id: String(created.id)
@@ -156,14 +277,15 @@ const createAndCache = async (folderMap, parentId, name) => {
  * @param {Map} folderMap - Folder map
  * @param {Object} inbox - Inbox folder
  * @param {string} path - Path to create
+ * @param {string} delimiter - Server hierarchy delimiter escaped inside names
  * @returns {Promise<void>}
  */
-const processPath = async (folderMap, inbox, path) => {
-	const parts = path.split('/')
+const processPath = async (folderMap, inbox, path, delimiter) => {
+	const parts = escapePath(delimiter)(path).split('/')
 	
 	for (let j = 0; j < parts.length; j++) {
 		const currentPath = parts.slice(0, j + 1).join('/')
-		const normalized = currentPath.toLowerCase()
+		const normalized = collisionKey(currentPath)
 		
 		if (folderMap.has(normalized)) continue
 		
@@ -201,19 +323,21 @@ async function createFolders(data, port) {
 
 	// Refresh folder cache
 	const { folders } = await MailClient.scanAccount(accountId)
-	const folderMap = new Map(folders.map(f => [f.cleanPath.toLowerCase(), f]))
+	const folderMap = buildFolderMap(folders)
 	
 	// Find inbox
 	const inbox = findInboxFolder(folders)
 	if (!inbox) throw new Error(ERROR_MESSAGES.NO_INBOX)
 
+	const delimiter = await getDelimiter(accountId, folders)
+
 	// Process each path
 	for (let i = 0; i < sortedPaths.length; i++) {
 		const path = sortedPaths[i]
 		sendProgress(port, i + 1, sortedPaths.length, path)
 		
 		try {
-			await processPath(folderMap, inbox, path)
+			await processPath(folderMap, inbox, path, delimiter)
 			results.created.push(path)
 			sendFolderComplete(port, path)
 		} catch (e) {
@@ -224,6 +348,467 @@ async function createFolders(data, port) {
 	return results
 }
 
+// ============================================================================
+// Folder Move Functions
+// ============================================================================
+
+/**
+ * Strip leading slashes from a folder path
+ * @param {string} path - Folder path from the API
+ * @returns {string} Clean path
+ */
+const cleanFolderPath = (path) => (path || '').replace(/^\/+/, '')
+
+/**
+ * Folder base URI of an account, from its stored rules copy
+ * @param {string} accountId - Account ID
+ * @returns {Promise<string|null>} Base URI, null if unknown
+ */
+const getAccountBase = async (accountId) => {
+	const [stored, account] = await Promise.all([
+		getRulesCopy(messenger)(accountId),
+		messenger.accounts.get(accountId)
+	])
+	return stored && account ? accountBaseOf(stored.content, account.type) : null
+}
+
+/**
+ * Resolve destination parent folder, creating missing parents
+ * @param {Object} data - {accountId, folders, parentPath, delimiter}
+ * @returns {Promise<Object>} Parent folder (or account root)
+ * @throws {Error} If the account has no root folder
+ */
+const resolveParent = async ({ accountId, folders, parentPath, delimiter }) => {
+	if (!parentPath) {
+		const account = await MailClient.getAccount(accountId)
+		if (!account || !account.rootFolder) throw new Error(ERROR_MESSAGES.NO_ROOT_FOLDER)
+		return account.rootFolder
+	}
+
+	const folderMap = buildFolderMap(folders)
+	const inbox = findInboxFolder(folders)
+	if (!inbox) throw new Error(ERROR_MESSAGES.NO_INBOX)
+
+	await processPath(folderMap, inbox, parentPath, delimiter)
+	return folderMap.get(collisionKey(parentPath))
+}
+
+/**
+ * Move and/or rename a folder subtree
+ * @param {Object} data - {accountId, from, to}
+ * @returns {Promise<Object>} Applied path change {from, to, fromBase, toBase}
+ * @throws {Error} If source is missing, target exists or target is inside source
+ */
+async function moveFolder(data) {
+	const from = data.from.replace(/^\/+|\/+$/g, '')
+
+	const { folders } = await MailClient.scanAccount(data.accountId)
+	const folderMap = buildFolderMap(folders)
+	const delimiter = await getDelimiter(data.accountId, folders)
+	const to = escapePath(delimiter)(data.to.replace(/^\/+|\/+$/g, ''))
+
+	const source = folderMap.get(collisionKey(from))
+	if (!source) throw new Error(ERROR_MESSAGES.FOLDER_NOT_FOUND(from))
+	if (folderMap.has(collisionKey(to))) throw new Error(ERROR_MESSAGES.FOLDER_EXISTS(to))
+	if (collisionKey(to).startsWith(collisionKey(source.cleanPath) + '/')) {
+		throw new Error(ERROR_MESSAGES.MOVE_INTO_ITSELF(source.cleanPath))
+	}
+
+	const parentPath = getParentPath(to)
+	const name = to.split('/').pop()
+	let folder = source
+
+	if (collisionKey(getParentPath(source.cleanPath)) !== collisionKey(parentPath)) {
+		const parent = await resolveParent({ accountId: data.accountId, folders, parentPath, delimiter })
+		folder = await MailClient.moveFolder(source.id, parent.id)
+	}
+
+	if (folder.name !== name) {
+		folder = await MailClient.renameFolder(folder.id, name)
+	}
+
+	const base = await getAccountBase(data.accountId)
+	return { from: source.cleanPath, to: cleanFolderPath(folder.path), fromBase: base, toBase: base }
+}
+
+// ============================================================================
+// Message Filing Functions
+// ============================================================================
+
+/**
+ * Send filing progress: messages looked at while matching (no total), then
+ * messages moved or copied out of total
+ * @param {Object} port - Message port
+ * @param {number} current - Messages looked at or transferred
+ * @param {number|null} total - Messages to transfer (null while matching)
+ * @param {number} matched - Messages matched so far
+ */
+const sendFilingProgress = (port, current, total, matched) => {
+	port.postMessage({
+		type: MESSAGE_TYPES.PROGRESS,
+		current,
+		total,
+		matched
+	})
+}
+
+/**
+ * Find the folders of filing targets (paths escaped the way folders are created)
+ * @param {string} accountId - Account ID
+ * @param {Array<Object>} targets - Targets [{path, emails, domains, lists}]
+ * @returns {Promise<Array>} Targets with folderId (null if the folder does not exist)
+ */
+const resolveFilingTargets = async (accountId, targets) => {
+	const { folders } = await MailClient.scanAccount(accountId)
+	const folderMap = buildFolderMap(folders)
+	const escape = escapePath(await getDelimiter(accountId, folders))
+
+	return targets.map(target => {
+		const folder = folderMap.get(collisionKey(escape(target.path)))
+		return { ...target, folderId: folder ? folder.id : null }
+	})
+}
+
+/**
+ * Match the messages of the source folders (target folders left out) to targets
+ * @param {Object} data - Filing data {folderIds, mode}
+ * @param {Array<Object>} resolved - Targets with an existing folder
+ * @param {Object} port - Message port
+ * @param {Function} isCancelled - Returns true once the UI asked to stop
+ * @returns {Promise<Object>} {messages: [{id, headerMessageId, folderId, target}], scanned, cancelled}
+ */
+const matchFilingMessages = (data, resolved, port, isCancelled) => {
+	const targetIds = toSet(resolved.map(t => t.folderId))
+	const sources = data.folderIds.map(String).filter(id => !targetIds.has(id))
+	const match = createFilingMatcher(resolved, data.mode)
+	const withHeaders = needsHeaders(resolved)
+
+	return MailClient.collectMessages(
+		sources,
+		async (msg) => match(msg, withHeaders ? await MailClient.getHeaders(msg.id) : null),
+		({ scanned, matched }) => {
+			if (!isCancelled()) sendFilingProgress(port, scanned, null, matched)
+		},
+		isCancelled
+	)
+}
+
+/**
+ * Dry run: count the messages each target folder would receive
+ * @param {Object} data - Filing data {accountId, folderIds, targets, mode}
+ * @param {Object} port - Message port
+ * @param {Function} isCancelled - Returns true once the UI asked to stop
+ * @returns {Promise<Object>} {counts: [{path, count}], missing, scanned, cancelled}
+ */
+async function countFiling(data, port, isCancelled) {
+	const resolved = await resolveFilingTargets(data.accountId, data.targets)
+	const present = resolved.filter(t => t.folderId)
+	const { messages, scanned, cancelled } = await matchFilingMessages(data, present, port, isCancelled)
+
+	return {
+		counts: countByTarget(messages),
+		missing: resolved.filter(t => !t.folderId).map(t => t.path),
+		scanned,
+		cancelled
+	}
+}
+
+/**
+ * Move (or copy) matching messages into their target folders. Moves are
+ * logged so they can be undone; copies leave the originals in place.
+ * @param {Object} data - Filing data {accountId, folderIds, targets, mode, copy}
+ * @param {Object} port - Message port
+ * @param {Function} isCancelled - Returns true once the UI asked to stop
+ * @returns {Promise<Object>} {counts: [{path, count}], filed, total, copy, cancelled}
+ */
+async function fileMessages(data, port, isCancelled) {
+	const resolved = (await resolveFilingTargets(data.accountId, data.targets)).filter(t => t.folderId)
+	const { messages } = await matchFilingMessages(data, resolved, port, isCancelled)
+	const folderIds = new Map(resolved.map(t => [t.path, t.folderId]))
+	const transfer = data.copy ? MailClient.copyMessages : MailClient.moveMessages
+
+	const parts = [...groupBy(m => m.target, messages).entries()]
+		.flatMap(([path, group]) => chunk(LIMITS.FILING_CHUNK, group).map(part => ({ folderId: folderIds.get(path), part })))
+	const done = []
+
+	// Moves are logged after every chunk and on failure, so whatever moved stays undoable
+	const startedAt = Date.now()
+	const logMoves = async () => {
+		if (!data.copy && done.length) await addFilingBatch(messenger)(data.accountId, createFilingBatch(done, startedAt))
+	}
+
+	try {
+		for (const { folderId, part } of parts) {
+			if (isCancelled()) break
+			await transfer(part.map(m => m.id), folderId)
+			done.push(...part.map(m => ({ ...m, targetId: folderId })))
+			await logMoves()
+			if (!isCancelled()) sendFilingProgress(port, done.length, messages.length, messages.length)
+		}
+	} finally {
+		await logMoves()
+	}
+
+	return {
+		counts: countByTarget(done),
+		filed: done.length,
+		total: messages.length,
+		copy: Boolean(data.copy),
+		cancelled: isCancelled()
+	}
+}
+
+/**
+ * Move the messages of the latest logged filing back to where they came from.
+ * Messages are found again by Message-ID, since moving changes their ids.
+ * @param {Object} data - {accountId}
+ * @param {Object} port - Message port
+ * @param {Function} isCancelled - Returns true once the UI asked to stop
+ * @returns {Promise<Object>} {restored, total, cancelled}
+ */
+async function undoFiling(data, port, isCancelled) {
+	const log = await getFilingLog(messenger)(data.accountId)
+	const batch = log[log.length - 1]
+	if (!batch) return { restored: 0, total: 0, cancelled: false }
+
+	const returns = returnsByFolder(batch)
+	const { messages } = await MailClient.collectMessages(
+		[...returns.keys()],
+		(msg) => {
+			const origins = msg.folder && returns.get(String(msg.folder.id))
+			return (origins && origins.get(msg.headerMessageId)) || null
+		},
+		({ scanned, matched }) => {
+			if (!isCancelled()) sendFilingProgress(port, scanned, null, matched)
+		},
+		isCancelled
+	)
+
+	let restored = 0
+	const parts = [...groupBy(m => m.target, messages).entries()]
+		.flatMap(([from, group]) => chunk(LIMITS.FILING_CHUNK, group).map(part => ({ from, part })))
+
+	for (const { from, part } of parts) {
+		if (isCancelled()) break
+		await MailClient.moveMessages(part.map(m => m.id), from)
+		restored += part.length
+		if (!isCancelled()) sendFilingProgress(port, restored, messages.length, messages.length)
+	}
+
+	// A stopped undo keeps its batch; running it again restores the rest
+	if (!isCancelled()) await removeFilingBatch(messenger)(data.accountId, batch.id)
+
+	return { restored, total: batch.moves.length, cancelled: isCancelled() }
+}
+
+// ============================================================================
+// Folder Change Tracking
+// ============================================================================
+
+/**
+ * Record a rename/move made in Thunderbird if stored rules point into it
+ * @param {Object} original - Folder before the change
+ * @param {Object} updated - Folder after the change
+ * @returns {Promise<void>}
+ */
+const recordFolderChange = async (original, updated) => {
+	const stored = await getRulesCopy(messenger)(original.accountId)
+	if (!stored) return
+
+	// Without the account's base its rules cannot be told from other accounts'
+	const fromBase = await getAccountBase(original.accountId)
+	const toBase = updated.accountId === original.accountId ? fromBase : await getAccountBase(updated.accountId)
+	if (!fromBase || !toBase) return
+
+	const change = { from: cleanFolderPath(original.path), to: cleanFolderPath(updated.path), fromBase, toBase }
+	if (change.from === change.to && fromBase === toBase) return
+
+	// Earlier unresolved changes first, so chained renames are recognised
+	const pending = await getPathChanges(messenger)(original.accountId)
+	const { content } = applyPathChanges(stored.content, pending)
+	if (countAffectedRules(content, change) === 0) return
+
+	await addPathChange(messenger)(original.accountId, change)
+}
+
+// ============================================================================
+// Background Discovery
+// ============================================================================
+
+/**
+ * Create, update or clear the periodic scan alarm to match the settings.
+ * An alarm already running at the configured period is left alone, so
+ * restarts do not push the next scan back.
+ * @returns {Promise<void>}
+ */
+const syncBackgroundScan = async () => {
+	const config = await messenger.storage.sync.get(DEFAULT_CONFIG)
+	if (!config.backgroundScan) {
+		await messenger.alarms.clear(ALARM_NAMES.BACKGROUND_SCAN)
+		return
+	}
+
+	const periodInMinutes = Math.max(LIMITS.MIN_BACKGROUND_MINUTES, parseInt(config.backgroundScanMinutes, 10) || DEFAULT_CONFIG.backgroundScanMinutes)
+	const alarm = await messenger.alarms.get(ALARM_NAMES.BACKGROUND_SCAN)
+	if (alarm && alarm.periodInMinutes === periodInMinutes) return
+
+	messenger.alarms.create(ALARM_NAMES.BACKGROUND_SCAN, { delayInMinutes: periodInMinutes, periodInMinutes })
+}
+
+/**
+ * Notify the unmapped senders waiting in the queue of an account
+ * @param {Object} account - MailAccount
+ * @param {number} size - Queue length
+ * @returns {Promise<void>}
+ */
+const notifyQueue = (account, size) => messenger.notifications.create(`${NOTIFICATION_PREFIX}${account.id}`, {
+	type: 'basic',
+	iconUrl: messenger.runtime.getURL('icon.svg'),
+	title: messenger.i18n.getMessage('queueNotificationTitle'),
+	message: messenger.i18n.getMessage('queueNotification', [size, account.name])
+})
+
+/**
+ * Scan the inbox of an account for senders its stored rules do not route
+ * (every message since the previous run, the whole inbox on the first one;
+ * the interactive scan limit does not apply, or later messages would be
+ * skipped for good), queue them and notify past the threshold.
+ * Accounts without a stored rules copy are skipped.
+ * @param {string} accountId - Account ID
+ * @param {Object} config - Settings {notifyThreshold}
+ * @returns {Promise<void>}
+ */
+async function discoverUnmapped(accountId, config) {
+	const stored = await getRulesCopy(messenger)(accountId)
+	if (!stored || !stored.content) return
+
+	const [{ folders }, account, exclusions, queue, scanState] = await Promise.all([
+		MailClient.scanAccount(accountId),
+		messenger.accounts.get(accountId),
+		getExclusions(messenger)(accountId),
+		getDiscoveryQueue(messenger)(accountId),
+		getBackgroundScanState(messenger)(accountId)
+	])
+	const inbox = findInboxFolder(folders)
+	if (!inbox) return
+
+	const startedAt = Date.now()
+	const { senders } = await MailClient.getSenders(
+		{
+			folderIds: [inbox.id],
+			fromDate: scanState.lastScan ? new Date(scanState.lastScan) : undefined,
+			limit: 0,
+			mode: SCAN_MODES.SENDERS,
+			exclusions
+		},
+		account.identities
+	)
+
+	const updated = pruneQueue(mergeQueue(queue, senders), stored.content, exclusions)
+	await saveDiscoveryQueue(messenger)(accountId, updated)
+
+	const notify = shouldNotify(updated.length, config.notifyThreshold, scanState.notified)
+	if (notify) await notifyQueue(account, updated.length)
+	await saveBackgroundScanState(messenger)(accountId, {
+		lastScan: startedAt,
+		notified: notify ? updated.length : Math.min(scanState.notified, updated.length)
+	})
+}
+
+/**
+ * Run background discovery on every IMAP account when the alarm fires
+ * @param {Object} alarm - Alarm
+ * @returns {Promise<void>}
+ */
+const handleAlarm = async (alarm) => {
+	if (alarm.name !== ALARM_NAMES.BACKGROUND_SCAN) return
+
+	const config = await messenger.storage.sync.get(DEFAULT_CONFIG)
+	for (const account of await MailClient.listImapAccounts()) {
+		try {
+			await discoverUnmapped(account.id, config)
+		} catch (e) {
+			console.error(`Background scan failed for ${account.name}`, e)
+		}
+	}
+}
+
+/**
+ * Open the UI with the queue of the notified account
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<void>}
+ */
+const handleNotificationClick = async (notificationId) => {
+	if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return
+	const accountId = notificationId.slice(NOTIFICATION_PREFIX.length)
+	await messenger.notifications.clear(notificationId)
+	await launchUI(`${QUEUE_HASH_PREFIX}${encodeURIComponent(accountId)}`)
+}
+
+/**
+ * Follow changes of the background scan settings
+ * @param {Object} changes - Changed keys
+ * @param {string} area - Storage area
+ */
+const handleSettingsChange = (changes, area) => {
+	if (area === STORAGE_AREAS.SYNC && (changes.backgroundScan || changes.backgroundScanMinutes)) {
+		syncBackgroundScan().catch(console.error)
+	}
+}
+
+// ============================================================================
+// New Mail Detection
+// ============================================================================
+
+// New mail is recorded one event at a time, so updates of the pending list do not overwrite each other
+let newMailUpdates = Promise.resolve()
+
+/**
+ * Record the senders of newly received messages that no stored rule files
+ * as pending suggestions, counting their messages. Accounts without a stored
+ * rules copy are skipped. Only the rules decide (see createRoutingCheck);
+ * the root memory is applied by the UI when it proposes their folders.
+ * @param {Object} folder - Folder the messages arrived in
+ * @param {Object} messageList - MessageList of the new messages
+ * @returns {Promise<void>}
+ */
+async function recordNewMail(folder, messageList) {
+	const { accountId } = folder
+	const stored = await getRulesCopy(messenger)(accountId)
+	if (!stored || !stored.content) return
+
+	const [messages, account, exclusions, pending] = await Promise.all([
+		MailClient.listMessages(messageList),
+		messenger.accounts.get(accountId),
+		getExclusions(messenger)(accountId),
+		getPendingSenders(messenger)(accountId)
+	])
+	const routing = createRoutingCheck(stored.content)
+
+	// List headers are only read when some rule routes a list
+	const detected = routing.hasListRules
+		? await MailClient.detectLists(messages)
+		: []
+
+	const selfEmails = toSet(account.identities.map(i => (i.email || '').toLowerCase()))
+	const isExcluded = compileExclusions(exclusions)
+	const senders = unmappedSenders(messages, detected, routing, email => shouldExcludeEmail(selfEmails, email, isExcluded))
+	if (senders.length === 0) return
+
+	await savePendingSenders(messenger)(accountId, pruneQueue(mergeQueue(pending, senders), stored.content, exclusions))
+}
+
+/**
+ * Queue new mail for recording
+ * @param {Object} folder - Folder the messages arrived in
+ * @param {Object} messageList - MessageList of the new messages
+ */
+const handleNewMail = (folder, messageList) => {
+	newMailUpdates = newMailUpdates
+		.then(() => recordNewMail(folder, messageList))
+		.catch(console.error)
+}
+
 // ============================================================================
 // Message Routing
 // ============================================================================
@@ -233,23 +818,27 @@ async function createFolders(data, port) {
  */
 const MESSAGE_ROUTES = {
 	[MESSAGE_ACTIONS.ANALYZE]: analyze,
-	[MESSAGE_ACTIONS.SCAN_MESSAGES]: scanMessages
+	[MESSAGE_ACTIONS.MOVE_FOLDER]: moveFolder
+}
+
+/**
+ * Route table for filing actions (over the file-messages port)
+ */
+const FILING_ROUTES = {
+	[MESSAGE_ACTIONS.COUNT_FILING]: countFiling,
+	[MESSAGE_ACTIONS.FILE]: fileMessages,
+	[MESSAGE_ACTIONS.UNDO_FILING]: undoFiling
 }
 
 /**
  * Handle runtime message
  * @param {Object} msg - Message object
- * @param {Function} sendResponse - Response callback
+ * @returns {Promise<Object>|undefined} Reply of the route ({error} if it failed),
+ *   undefined for messages without a route
  */
-const handleMessage = (msg, sendResponse) => {
+const handleMessage = (msg) => {
 	const route = MESSAGE_ROUTES[msg.action]
-	
-	if (route) {
-		route(msg)
-			.then(sendResponse)
-			.catch(e => sendResponse({ error: e.message }))
-		return true
-	}
+	if (route) return route(msg).catch(e => ({ error: e.message }))
 }
 
 /**
@@ -273,20 +862,76 @@ const handlePortConnection = (port) => {
 			}
 		})
 	}
+
+	if (port.name === PORT_NAMES.FILE_MESSAGES) {
+		let cancelled = false
+		let disconnected = false
+		const isCancelled = () => cancelled || disconnected
+		port.onDisconnect.addListener(() => { disconnected = true })
+
+		port.onMessage.addListener(async (msg) => {
+			if (msg.action === MESSAGE_ACTIONS.CANCEL) {
+				cancelled = true
+				return
+			}
+			const route = FILING_ROUTES[msg.action]
+			if (!route) return
+			try {
+				const results = await route(msg, port, isCancelled)
+				if (!disconnected) port.postMessage({
+					type: MESSAGE_TYPES.COMPLETE,
+					results
+				})
+			} catch (e) {
+				if (!disconnected) port.postMessage({
+					type: MESSAGE_TYPES.ERROR,
+					error: e.message
+				})
+			}
+		})
+	}
+
+	if (port.name === PORT_NAMES.SCAN_MESSAGES) {
+		// Closing the UI stops the scan as well
+		let cancelled = false
+		let disconnected = false
+		const isCancelled = () => cancelled || disconnected
+		port.onDisconnect.addListener(() => { disconnected = true })
+
+		port.onMessage.addListener(async (msg) => {
+			if (msg.action === MESSAGE_ACTIONS.CANCEL) {
+				cancelled = true
+				return
+			}
+			try {
+				const results = await scanMessages(msg, port, isCancelled)
+				if (!disconnected) port.postMessage({
+					type: MESSAGE_TYPES.COMPLETE,
+					results
+				})
+			} catch (e) {
+				if (!disconnected) port.postMessage({
+					type: MESSAGE_TYPES.ERROR,
+					error: e.message
+				})
+			}
+		})
+	}
 }
 
 /**
  * Launch or focus UI window
+ * @param {string} hash - Location hash to open the UI with (e.g. "#queue=<accountId>")
  */
-const launchUI = async () => {
+const launchUI = async (hash = '') => {
 	const url = messenger.runtime.getURL('ui.html')
-	const tabs = await messenger.tabs.query({ url })
+	const tabs = await messenger.tabs.query({ url: `${url}*` })
 	
 	if (tabs.length) {
 		await messenger.windows.update(tabs[0].windowId, { focused: true })
-		await messenger.tabs.update(tabs[0].id, { active: true })
+		await messenger.tabs.update(tabs[0].id, { active: true, ...(hash && { url: `${url}${hash}` }) })
 	} else {
-		await messenger.tabs.create({ url })
+		await messenger.tabs.create({ url: `${url}${hash}` })
 	}
 }
 
@@ -296,4 +941,12 @@ const launchUI = async () => {
 
 messenger.runtime.onMessage.addListener(handleMessage)
 messenger.runtime.onConnect.addListener(handlePortConnection)
-messenger.action.onClicked.addListener(launchUI)
\ No newline at end of file
+messenger.action.onClicked.addListener(() => launchUI())
+messenger.folders.onRenamed.addListener(recordFolderChange)
+messenger.folders.onMoved.addListener(recordFolderChange)
+messenger.messages.onNewMailReceived.addListener(handleNewMail)
+messenger.alarms.onAlarm.addListener(handleAlarm)
+messenger.notifications.onClicked.addListener(handleNotificationClick)
+messenger.storage.onChanged.addListener(handleSettingsChange)
+
+syncBackgroundScan().catch(console.error)
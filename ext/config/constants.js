@@ -12,7 +12,18 @@ export const DEFAULT_CONFIG = {
 	filterNewMail: true,
 	filterSending: false,
 	filterArchive: false,
-	filterPeriodic: false
+	filterPeriodic: false,
+	mappingStrategy: 'reversed-domain-user',
+	mappingTemplate: '{tld}/{sld}/{local}',
+	subdomainLevels: 1,
+	segmentReplacements: [{ chars: '/\\:%', replacement: '_' }],
+	asciiFolderNames: false,
+	maxConditions: 25,
+	ruleTemplates: [],
+	domainThreshold: 3,
+	backgroundScan: false,
+	backgroundScanMinutes: 60,
+	notifyThreshold: 10
 }
 
 // Filter Type Bitmasks (Thunderbird specification)
@@ -25,6 +36,9 @@ export const FILTER_TYPES = {
 	PERIODIC: 128        // Periodically
 }
 
+// Every type bit Thunderbird defines (incl. news and periodic variants)
+export const FILTER_TYPE_MASK = 0x1FF
+
 // Default filter type combination (Manual + New Mail)
 export const DEFAULT_FILTER_TYPE = FILTER_TYPES.MANUAL + FILTER_TYPES.NEW_MAIL // 17
 
@@ -38,8 +52,70 @@ export const PLACEHOLDER_URI = 'imap://REPLACE_ME'
 
 // Path Constants
 export const PATH_SEPARATOR = '/'
+
+// IMAP hierarchy delimiters. Thunderbird always shows paths and URIs with "/",
+// but on a "." server (Courier, some Dovecot setups) a "." in a name nests.
+export const HIERARCHY_DELIMITERS = {
+	AUTO: 'auto',
+	SLASH: '/',
+	DOT: '.'
+}
 export const INBOX_FOLDER_NAME = 'Inbox'
 
+// Email -> Path Mapping Strategies
+export const MAPPING_STRATEGIES = {
+	REVERSED_DOMAIN_USER: 'reversed-domain-user', // com/acme/mail/bob
+	DOMAIN_USER: 'domain-user',                   // mail.acme.com/bob
+	REGISTRABLE_DOMAIN_USER: 'registrable-domain-user', // acme.com/bob
+	DOMAIN_ONLY: 'domain-only',                   // acme.com
+	REVERSED_DOMAIN: 'reversed-domain',           // com/acme/mail
+	TEMPLATE: 'template'                          // user-defined
+}
+
+// Subdomain levels kept in paths (a.mail.acme.com -> com/acme/mail)
+export const DEFAULT_SUBDOMAIN_LEVELS = 1
+
+// Folder Name Sanitisation
+export const SANITIZE = {
+	FALLBACK_SEGMENT: '_',          // used when nothing is left of a segment
+	RULE_SEPARATOR: '=>',           // "chars => replacement" in the options page
+	NON_ASCII_REPLACEMENT: '_',
+	DELIMITER_REPLACEMENT: '_'      // replaces the server delimiter inside a name
+}
+
+// Collision kinds between folder paths
+export const COLLISION_KINDS = {
+	CASE: 'case',                   // User vs user
+	NORMALIZATION: 'normalization'  // NFC vs NFD spelling of the same name
+}
+
+// Root memory: entry kinds, how an entry got there, where a root came from
+export const MEMORY_KINDS = {
+	EMAIL: 'emails',                // bob@acme.com -> root
+	DOMAIN: 'domains'               // acme.com -> root
+}
+
+export const MEMORY_ORIGINS = {
+	LEARNED: 'learned',             // from rules/folders, refreshed on every pass
+	MANUAL: 'manual'                // edited by hand, never overwritten
+}
+
+export const ROOT_SOURCES = {
+	EMAIL: 'email',
+	DOMAIN: 'domain',
+	DEFAULT: 'default'
+}
+
+// Placeholders available in mapping templates
+export const TEMPLATE_PLACEHOLDERS = {
+	LOCAL: 'local',           // bob
+	DOMAIN: 'domain',         // mail.acme.co.uk
+	REGISTRABLE: 'registrable', // acme.co.uk
+	SUB: 'sub',               // mail
+	SLD: 'sld',               // acme
+	TLD: 'tld'                // co.uk (public suffix)
+}
+
 // UI Timing Constants (milliseconds)
 export const UI_TIMEOUTS = {
 	TOAST_DURATION: 2000,
@@ -49,15 +125,42 @@ export const UI_TIMEOUTS = {
 
 // Message Port Names
 export const PORT_NAMES = {
-	CREATE_FOLDERS: 'create-folders'
+	CREATE_FOLDERS: 'create-folders',
+	SCAN_MESSAGES: 'scan-messages',
+	FILE_MESSAGES: 'file-messages'
 }
 
 // Message Actions
 export const MESSAGE_ACTIONS = {
 	ANALYZE: 'analyze',
-	SCAN_MESSAGES: 'scanMessages',
-	CREATE: 'create'
+	SCAN: 'scan',
+	CANCEL: 'cancel',
+	CREATE: 'create',
+	MOVE_FOLDER: 'moveFolder',
+	COUNT_FILING: 'countFiling',
+	FILE: 'file',
+	UNDO_FILING: 'undoFiling'
+}
+
+// storage.local Keys (per account)
+export const STORAGE_KEYS = {
+	RULES_COPY: (accountId) => `rulesCopy:${accountId}`,
+	PATH_CHANGES: (accountId) => `pathChanges:${accountId}`,
+	DELIMITER: (accountId) => `delimiter:${accountId}`,
+	ROOT_MEMORY: (accountId) => `rootMemory:${accountId}`,
+	EXCLUSIONS: (accountId) => `exclusions:${accountId}`,
+	FILING_LOG: (accountId) => `filingLog:${accountId}`,
+	DISCOVERY_QUEUE: (accountId) => `discoveryQueue:${accountId}`,
+	BACKGROUND_SCAN: (accountId) => `backgroundScan:${accountId}`,
+	PENDING_SENDERS: (accountId) => `pendingSenders:${accountId}`
+}
+
+// Background Discovery (alarm name, notification IDs "unmapped:<accountId>", UI hash "#queue=<accountId>")
+export const ALARM_NAMES = {
+	BACKGROUND_SCAN: 'background-scan'
 }
+export const NOTIFICATION_PREFIX = 'unmapped:'
+export const QUEUE_HASH_PREFIX = '#queue='
 
 // Message Types (for port communication)
 export const MESSAGE_TYPES = {
@@ -67,15 +170,216 @@ export const MESSAGE_TYPES = {
 	ERROR: 'error'
 }
 
+// msgFilterRules.dat Attribute Names
+export const RULE_ATTRIBUTES = {
+	VERSION: 'version',
+	LOGGING: 'logging',
+	NAME: 'name',
+	ENABLED: 'enabled',
+	DESCRIPTION: 'description',
+	TYPE: 'type',
+	ACTION: 'action',
+	ACTION_VALUE: 'actionValue',
+	CUSTOM_ID: 'customId',
+	CONDITION: 'condition'
+}
+
+// Filter Action Names (as written in msgFilterRules.dat)
+export const ACTION_TYPES = {
+	MOVE_TO_FOLDER: 'Move to folder',
+	COPY_TO_FOLDER: 'Copy to folder',
+	CHANGE_PRIORITY: 'Change priority',
+	DELETE: 'Delete',
+	MARK_READ: 'Mark read',
+	MARK_UNREAD: 'Mark unread',
+	MARK_FLAGGED: 'Mark flagged',
+	ADD_TAG: 'AddTag',
+	LABEL: 'Label',
+	IGNORE_THREAD: 'Ignore thread',
+	IGNORE_SUBTHREAD: 'Ignore subthread',
+	WATCH_THREAD: 'Watch thread',
+	REPLY: 'Reply',
+	FORWARD: 'Forward',
+	JUNK_SCORE: 'JunkScore',
+	STOP_EXECUTION: 'Stop execution',
+	DELETE_FROM_POP3: 'Delete from Pop3 server',
+	LEAVE_ON_POP3: 'Leave on Pop3 server',
+	FETCH_BODY_FROM_POP3: 'Fetch body from Pop3Server',
+	CUSTOM: 'Custom'
+}
+
+// Actions whose actionValue is a folder URI
+export const FOLDER_ACTIONS = [
+	ACTION_TYPES.MOVE_TO_FOLDER,
+	ACTION_TYPES.COPY_TO_FOLDER
+]
+
+// Actions that carry an actionValue
+export const VALUED_ACTIONS = [
+	...FOLDER_ACTIONS,
+	ACTION_TYPES.CHANGE_PRIORITY,
+	ACTION_TYPES.ADD_TAG,
+	ACTION_TYPES.LABEL,
+	ACTION_TYPES.REPLY,
+	ACTION_TYPES.FORWARD,
+	ACTION_TYPES.JUNK_SCORE,
+	ACTION_TYPES.CUSTOM
+]
+
+// Condition Match Types
+export const CONDITION_MATCH = {
+	AND: 'AND',
+	OR: 'OR',
+	ALL: 'ALL'
+}
+
+// Condition Fields (built-in search attributes)
+export const CONDITION_FIELDS = {
+	FROM: 'from',
+	TO: 'to',
+	CC: 'cc',
+	TO_OR_CC: 'to or cc',
+	ALL_ADDRESSES: 'all addresses',
+	SUBJECT: 'subject',
+	BODY: 'body',
+	DATE: 'date',
+	PRIORITY: 'priority',
+	STATUS: 'status',
+	AGE_IN_DAYS: 'age in days',
+	TAG: 'tag',
+	SIZE: 'size',
+	JUNK_STATUS: 'junk status',
+	JUNK_PERCENT: 'junk percent',
+	JUNK_SCORE_ORIGIN: 'junk score origin',
+	HAS_ATTACHMENT: 'has attachment status'
+}
+
+// Fields holding email addresses
+export const ADDRESS_FIELDS = [
+	CONDITION_FIELDS.FROM,
+	CONDITION_FIELDS.TO,
+	CONDITION_FIELDS.CC,
+	CONDITION_FIELDS.TO_OR_CC,
+	CONDITION_FIELDS.ALL_ADDRESSES
+]
+
+// Condition Operators
+export const CONDITION_OPERATORS = {
+	CONTAINS: 'contains',
+	DOESNT_CONTAIN: "doesn't contain",
+	IS: 'is',
+	ISNT: "isn't",
+	IS_EMPTY: 'is empty',
+	ISNT_EMPTY: "isn't empty",
+	BEGINS_WITH: 'begins with',
+	ENDS_WITH: 'ends with',
+	IS_BEFORE: 'is before',
+	IS_AFTER: 'is after',
+	IS_HIGHER_THAN: 'is higher than',
+	IS_LOWER_THAN: 'is lower than',
+	IS_GREATER_THAN: 'is greater than',
+	IS_LESS_THAN: 'is less than',
+	IS_IN_AB: 'is in ab',
+	ISNT_IN_AB: "isn't in ab",
+	MATCHES: 'matches',
+	DOESNT_MATCH: "doesn't match"
+}
+
+// Operators that route a matching address into the rule
+export const ADDRESS_MATCH_OPERATORS = [
+	CONDITION_OPERATORS.IS,
+	CONDITION_OPERATORS.CONTAINS,
+	CONDITION_OPERATORS.BEGINS_WITH,
+	CONDITION_OPERATORS.ENDS_WITH
+]
+
+// Operators a rule template may match with
+export const TEMPLATE_OPERATORS = [
+	CONDITION_OPERATORS.IS,
+	CONDITION_OPERATORS.CONTAINS,
+	CONDITION_OPERATORS.ENDS_WITH
+]
+
+// Placeholders filled in rule templates
+export const RULE_TEMPLATE_PLACEHOLDERS = {
+	EMAIL: 'email',           // bob@mail.acme.com (contact name in rule names of contact groups)
+	LOCAL: 'local',           // bob
+	DOMAIN: 'domain',         // mail.acme.com
+	PATH: 'path'              // target folder path
+}
+
+// Built-in rule template: the rule generated when no template is picked
+export const DEFAULT_RULE_TEMPLATE = {
+	id: 'default',
+	name: 'From contains address',
+	ruleName: 'From {email}',
+	field: CONDITION_FIELDS.FROM,
+	operator: CONDITION_OPERATORS.CONTAINS,
+	value: '{email}',
+	enabled: true,
+	actions: []
+}
+
+// Match of generated domain rules (the picked template supplies the rest)
+export const DOMAIN_RULE_MATCH = {
+	ruleName: 'From {email}',
+	field: CONDITION_FIELDS.FROM,
+	operator: CONDITION_OPERATORS.ENDS_WITH,
+	value: '@{domain}'
+}
+
+// Kinds of discovery exclusions
+export const EXCLUSION_KINDS = {
+	ADDRESS: 'address',
+	DOMAIN: 'domain',
+	GLOB: 'glob',
+	REGEX: 'regex',
+	LIST: 'list'
+}
+
+// What a scan collects: message authors, or To/Cc recipients (Sent folders)
+export const SCAN_MODES = {
+	SENDERS: 'senders',
+	RECIPIENTS: 'recipients'
+}
+
+// Fields of rules generated for recipients, so both directions of a
+// conversation land in the same folder
+export const CONVERSATION_RULE_MATCH = {
+	ruleName: 'With {email}',
+	fields: [CONDITION_FIELDS.TO_OR_CC, CONDITION_FIELDS.FROM]
+}
+
+// Mailing lists: header routed on, folder root, host labels dropped from list
+// names and Precedence values marking bulk mail
+export const LIST_ID_HEADER = 'List-Id'
+export const LIST_FOLDER_ROOT = 'Lists'
+export const LIST_HOST_LABELS = ['lists', 'list', 'ml', 'mail', 'vger']
+export const BULK_PRECEDENCES = ['bulk', 'list', 'junk']
+
+// Match of generated list rules ({email} is the list id)
+export const LIST_RULE_MATCH = {
+	ruleName: 'List {email}',
+	field: LIST_ID_HEADER,
+	operator: CONDITION_OPERATORS.CONTAINS,
+	value: '<{email}>'
+}
+
+// Defaults for newly written rule files
+export const RULE_FILE_DEFAULTS = {
+	VERSION: '9',
+	LOGGING: 'no',
+	EOL: '\n'
+}
+
 // Regex Patterns
 export const REGEX_PATTERNS = {
-	RULE_NAME_MARKER: /^name=/m,
-	RULE_NAME_SPLIT: /(?=name=")/,
-	ACTION_URI: /action="Move to folder"[\s\S]*?actionValue="([^"]+)"/,
-	EMAIL_CONDITION: /\(from\s*,\s*(?:contains|is)\s*,\s*([^)]+)\)/gi,
+	EMAIL_ADDRESS: /[^\s<>"',;]+@[^\s<>"',;]+/,
 	BASE_URI: /actionValue="(imap:\/\/[^/]+)\//,
 	URI_TO_PATH: /(?:imap|mailbox):\/\/[^/]+(?:@[^/]+)?\/(.+)/,
-	TYPE_ATTRIBUTE: /type="\d+"/g
+	URI_BASE: /^([a-z]+:\/\/[^/]+)/i,
+	FOLDER_URI: /^((?:imap|mailbox):\/\/[^/]+)\/(.*)$/i,
+	FOLDER_URI_BASE: /^(?:imap|mailbox):\/\/[^/\s]+$/i
 }
 
 // File Constants
@@ -88,8 +392,68 @@ export const FILE_CONSTANTS = {
 export const LIMITS = {
 	DEFAULT_SCAN_LIMIT: 500,
 	MIN_SCAN_LIMIT: 100,
-	MAX_SCAN_LIMIT: 5000,
-	MAX_FOLDER_DEPTH: 10
+	MAX_SCAN_LIMIT: 20000,
+	MAX_FOLDER_DEPTH: 10,
+	FILING_CHUNK: 100,
+	MAX_FILING_BATCHES: 10,
+	HEADER_READS: 10,
+	HEADER_BYTES: 64 * 1024,
+	MIN_BACKGROUND_MINUTES: 5
+}
+
+// Rule Linter
+export const LINT_SEVERITY = {
+	ERROR: 'error',
+	WARNING: 'warning'
+}
+
+export const LINT_CODES = {
+	INVALID_LINE: 'invalid-line',
+	MULTILINE_VALUE: 'multiline-value',
+	REPEATED_ATTRIBUTE: 'repeated-attribute',
+	NO_ACTIONS: 'no-actions',
+	MISSING_ACTION_VALUE: 'missing-action-value',
+	BAD_FOLDER_URI: 'bad-folder-uri',
+	NO_CONDITION: 'no-condition',
+	BAD_CONDITION: 'bad-condition',
+	BAD_TYPE: 'bad-type',
+	DUPLICATE_NAME: 'duplicate-name',
+	SENDER_CONFLICT: 'sender-conflict',
+	UNREACHABLE: 'unreachable',
+	FOREIGN_HOST: 'foreign-host',
+	COVERED_BY_DOMAIN: 'covered-by-domain'
+}
+
+export const LINT_MESSAGES = {
+	INVALID_LINE: (text) => `Unrecognized line ignored: ${text}`,
+	MULTILINE_VALUE: (key) => `Value of ${key} spans several lines; a closing quote may be missing`,
+	REPEATED_ATTRIBUTE: (key) => `${key} is set more than once; only the last value is used`,
+	NO_ACTIONS: (name) => `Rule "${name}" has no actions`,
+	MISSING_ACTION_VALUE: (type) => `Action "${type}" has no actionValue`,
+	BAD_FOLDER_URI: (uri) => `Not a folder URI: ${uri}`,
+	NO_CONDITION: (name) => `Rule "${name}" has no condition`,
+	BAD_CONDITION: (error) => `Condition cannot be parsed: ${error}`,
+	BAD_TYPE: (type) => `Invalid type bitmask: ${type === undefined ? '(missing)' : type}`,
+	DUPLICATE_NAME: (name, line) => `Duplicate rule name "${name}" (first on line ${line})`,
+	SENDER_CONFLICT: (email, path, otherPath, line) =>
+		`${email} is moved to ${path} but also to ${otherPath} (line ${line})`,
+	UNREACHABLE: (name, blocker, line) =>
+		`Rule "${name}" never runs: "${blocker}" (line ${line}) matches first and stops execution`,
+	FOREIGN_HOST: (base, majority) => `Target account ${base} differs from ${majority} used by the rest of the file`,
+	COVERED_BY_DOMAIN: (name, domainRule, line) =>
+		`Rule "${name}" is redundant: domain rule "${domainRule}" (line ${line}) matches all its senders`
+}
+
+// Rule Merge
+export const MERGE_STATUS = {
+	NEW: 'new',
+	DUPLICATE: 'duplicate',
+	CONFLICT: 'conflict'
+}
+
+export const MERGE_SIDE = {
+	EXISTING: 'existing',
+	INCOMING: 'incoming'
 }
 
 // Status/Message CSS Classes
@@ -133,5 +497,11 @@ export const ERROR_MESSAGES = {
 	LOAD_CONFIG_FAILED: 'Failed to load config',
 	SAVE_CONFIG_FAILED: 'Error saving settings',
 	LIST_ACCOUNTS_FAILED: 'Failed to list accounts',
-	GET_ACCOUNT_FAILED: 'Failed to get account details'
+	GET_ACCOUNT_FAILED: 'Failed to get account details',
+	FOLDER_NOT_FOUND: (path) => `Folder not found: ${path}`,
+	FOLDER_EXISTS: (path) => `Folder already exists: ${path}`,
+	MOVE_INTO_ITSELF: (path) => `Cannot move ${path} into itself`,
+	NO_ROOT_FOLDER: 'Account has no root folder',
+	LIST_CONTACTS_FAILED: 'Failed to list contacts',
+	GET_HEADERS_FAILED: 'Failed to read message headers'
 }
\ No newline at end of file
@@ -0,0 +1,261 @@
+/**
+ * Modules/ConditionParser.js
+ * Parser and serializer for the Thunderbird filter condition syntax:
+ *   ALL
+ *   AND (from,contains,bob@foo.com) OR ("X-Header",is,"quoted (value)")
+ */
+
+import {
+	CONDITION_MATCH,
+	CONDITION_FIELDS,
+	ADDRESS_FIELDS
+} from '../config/constants.js'
+
+// Longest first, so "to or cc" wins over "to"
+const KNOWN_FIELDS = Object.values(CONDITION_FIELDS).sort((a, b) => b.length - a.length)
+
+const TERM_START = /(AND|OR)\s*\(/y
+
+// ============================================================================
+// Value Quoting
+// ============================================================================
+
+/**
+ * Read a double-quoted string, unescaping \"
+ * @param {string} text - Condition text
+ * @param {number} pos - Index of opening quote
+ * @returns {Object} {value, end} where end is the index after the closing quote
+ * @throws {Error} If the quote is not terminated
+ */
+const readQuoted = (text, pos) => {
+	let value = ''
+	for (let i = pos + 1; i < text.length; i++) {
+		if (text[i] === '\\' && text[i + 1] === '"') {
+			value += '"'
+			i++
+		} else if (text[i] === '"') {
+			return { value, end: i + 1 }
+		} else {
+			value += text[i]
+		}
+	}
+	throw new Error(`Unterminated quote at ${pos}`)
+}
+
+/**
+ * Quote a term value when Thunderbird would (contains ")" or starts with space/quote)
+ * @param {string} value - Raw value
+ * @returns {string} Value as written in the condition
+ */
+const formatValue = (value) => {
+	const str = String(value ?? '')
+	const needsQuotes = str.includes(')') || str.startsWith(' ') || str.startsWith('"')
+	return needsQuotes ? `"${str.replace(/"/g, '\\"')}"` : str
+}
+
+/**
+ * Format term field (custom headers are quoted)
+ * @param {Object} term - Term object
+ * @returns {string} Field as written in the condition
+ */
+const formatField = (term) => term.customHeader
+	? `"${term.field.replace(/"/g, '\\"')}"`
+	: term.field
+
+// ============================================================================
+// Term Parsing
+// ============================================================================
+
+/**
+ * Expect a character at position
+ * @param {string} text - Condition text
+ * @param {number} pos - Position
+ * @param {string} ch - Expected character
+ * @returns {number} Position after the character
+ * @throws {Error} If the character does not match
+ */
+const expect = (text, pos, ch) => {
+	if (text[pos] !== ch) throw new Error(`Expected "${ch}" at ${pos}`)
+	return pos + 1
+}
+
+/**
+ * Read term field (known attribute, quoted custom header or custom term id)
+ * @param {string} text - Condition text
+ * @param {number} pos - Start position
+ * @returns {Object} {field, customHeader, end}
+ */
+const readField = (text, pos) => {
+	if (text[pos] === '"') {
+		const { value, end } = readQuoted(text, pos)
+		return { field: value, customHeader: true, end }
+	}
+
+	const known = KNOWN_FIELDS.find(f => text.startsWith(f + ',', pos))
+	if (known) return { field: known, customHeader: false, end: pos + known.length }
+
+	const comma = text.indexOf(',', pos)
+	if (comma === -1) throw new Error(`Missing operator at ${pos}`)
+	return { field: text.slice(pos, comma).trim(), customHeader: false, end: comma }
+}
+
+/**
+ * Read term value up to the closing parenthesis
+ * @param {string} text - Condition text
+ * @param {number} pos - Start position
+ * @returns {Object} {value, end} where end is the index after ")"
+ */
+const readValue = (text, pos) => {
+	if (text[pos] === '"') {
+		const { value, end } = readQuoted(text, pos)
+		return { value, end: expect(text, end, ')') }
+	}
+
+	const close = text.indexOf(')', pos)
+	if (close === -1) throw new Error(`Missing ")" at ${pos}`)
+	return { value: text.slice(pos, close), end: close + 1 }
+}
+
+/**
+ * Read a single "AND (field,op,value)" term
+ * @param {string} text - Condition text
+ * @param {number} pos - Start position
+ * @returns {Object} {term, end}
+ */
+const readTerm = (text, pos) => {
+	TERM_START.lastIndex = pos
+	const start = TERM_START.exec(text)
+	if (!start) throw new Error(`Expected AND/OR term at ${pos}`)
+
+	const field = readField(text, pos + start[0].length)
+	const opStart = expect(text, field.end, ',')
+	const opEnd = text.indexOf(',', opStart)
+	if (opEnd === -1) throw new Error(`Missing value at ${opStart}`)
+	const value = readValue(text, opEnd + 1)
+
+	return {
+		term: {
+			bool: start[1],
+			field: field.field,
+			customHeader: field.customHeader,
+			operator: text.slice(opStart, opEnd).trim(),
+			value: value.value
+		},
+		end: value.end
+	}
+}
+
+/**
+ * Parse condition text into match type and terms
+ * @param {string} text - Condition text
+ * @returns {Object} {match, terms}
+ * @throws {Error} On syntax errors
+ */
+const parseTerms = (text) => {
+	const trimmed = text.trim()
+	if (trimmed === CONDITION_MATCH.ALL) return { match: CONDITION_MATCH.ALL, terms: [] }
+
+	const terms = []
+	let pos = 0
+	while (pos < trimmed.length) {
+		const { term, end } = readTerm(trimmed, pos)
+		terms.push(term)
+		pos = end
+		while (/\s/.test(trimmed[pos] || '')) pos++
+	}
+
+	if (terms.length === 0) throw new Error('Empty condition')
+	return { match: terms[0].bool, terms }
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Semantic signature of a condition, used to detect modifications
+ * @param {Object} condition - Condition object
+ * @returns {string} Signature
+ */
+const conditionSignature = (condition) => JSON.stringify([condition.match, condition.terms])
+
+/**
+ * Parse condition string into a structured condition object.
+ * Unparseable conditions keep their text and carry an error message.
+ * @param {string} text - Condition attribute value
+ * @returns {Object} Condition {match, terms, error?, source}
+ */
+export const parseCondition = (text) => {
+	const raw = text ?? ''
+	let condition
+
+	try {
+		condition = parseTerms(raw)
+	} catch (e) {
+		condition = { match: null, terms: [], error: e.message }
+	}
+
+	condition.source = { raw, signature: conditionSignature(condition) }
+	return condition
+}
+
+/**
+ * Serialize condition object back to condition string
+ * @param {Object} condition - Condition object
+ * @returns {string} Condition attribute value
+ */
+export const serializeCondition = (condition) => {
+	const { source } = condition
+	if (source && (condition.error || source.signature === conditionSignature(condition))) {
+		return source.raw
+	}
+
+	if (condition.match === CONDITION_MATCH.ALL || condition.terms.length === 0) {
+		return CONDITION_MATCH.ALL
+	}
+
+	return condition.terms
+		.map(t => `${t.bool || condition.match} (${formatField(t)},${t.operator},${formatValue(t.value)})`)
+		.join(' ')
+}
+
+/**
+ * Create a condition term
+ * @param {string} field - Field name (or custom header name)
+ * @param {string} operator - Operator (contains, is, ends with...)
+ * @param {string} value - Value
+ * @param {Object} options - {bool, customHeader}
+ * @returns {Object} Term object
+ */
+export const createTerm = (field, operator, value, options = {}) => ({
+	bool: options.bool || CONDITION_MATCH.AND,
+	field,
+	customHeader: Boolean(options.customHeader),
+	operator,
+	value
+})
+
+/**
+ * Create a condition object
+ * @param {string} match - AND, OR or ALL
+ * @param {Array<Object>} terms - Terms
+ * @returns {Object} Condition object
+ */
+export const createCondition = (match, terms = []) => ({
+	match,
+	terms: terms.map(t => ({ ...t, bool: match === CONDITION_MATCH.ALL ? t.bool : match }))
+})
+
+/**
+ * Check if term matches on an address header
+ * @param {Object} term - Term object
+ * @returns {boolean} True for from/to/cc/... terms
+ */
+export const isAddressTerm = (term) => !term.customHeader && ADDRESS_FIELDS.includes(term.field)
+
+/**
+ * Get terms that match on address headers
+ * @param {Object} condition - Condition object
+ * @returns {Array<Object>} Address terms
+ */
+export const getAddressTerms = (condition) => condition ? condition.terms.filter(isAddressTerm) : []
@@ -0,0 +1,128 @@
+/**
+ * Modules/ContactGroups.js
+ * Grouping of discovered senders by address-book contact, so a person writing
+ * from several addresses gets one folder and one OR rule.
+ */
+
+import { unique } from '../utils/data.js'
+
+// ============================================================================
+// Contacts
+// ============================================================================
+
+/**
+ * Unfold vCard continuation lines and split into content lines
+ * @param {string} vCard - vCard text
+ * @returns {Array<string>} Content lines
+ */
+const vCardLines = (vCard) => String(vCard || '')
+	.replace(/\r?\n[ \t]/g, '')
+	.split(/\r?\n/)
+
+/**
+ * Unescape a vCard text value
+ * @param {string} value - Escaped value
+ * @returns {string} Plain value
+ */
+const unescapeValue = (value) => value
+	.replace(/\\n/gi, ' ')
+	.replace(/\\([,;\\])/g, '$1')
+	.trim()
+
+/**
+ * Read display name and email addresses from a vCard
+ * @param {string} vCard - vCard text
+ * @returns {Object} {name, emails}
+ */
+export const parseVCard = (vCard) => {
+	const values = (property) => vCardLines(vCard)
+		.map(line => line.match(/^(?:[\w-]+\.)?([\w-]+)(?:;[^:]*)?:(.*)$/))
+		.filter(match => match && match[1].toUpperCase() === property)
+		.map(match => unescapeValue(match[2]))
+		.filter(Boolean)
+
+	return {
+		name: values('FN')[0] || '',
+		emails: values('EMAIL')
+	}
+}
+
+/**
+ * Normalize a contact node (vCard in Manifest V3, properties before)
+ * @param {Object} node - ContactNode from the contacts API
+ * @returns {Object} Contact {id, name, emails} with lowercase unique emails
+ */
+export const contactFromNode = (node) => {
+	const props = node.properties || {}
+	const card = node.vCard ? parseVCard(node.vCard) : { name: '', emails: [] }
+	const emails = [...card.emails, props.PrimaryEmail, props.SecondEmail]
+		.filter(Boolean)
+		.map(e => e.trim().toLowerCase())
+
+	return {
+		id: node.id,
+		name: card.name || props.DisplayName || '',
+		emails: unique(emails)
+	}
+}
+
+// ============================================================================
+// Grouping
+// ============================================================================
+
+/**
+ * Index contacts by address (first contact wins for shared addresses)
+ * @param {Array<Object>} contacts - Contacts {id, name, emails}
+ * @returns {Map<string, Object>} Email -> contact
+ */
+const indexContacts = (contacts) => {
+	const index = new Map()
+	contacts.forEach(contact => contact.emails.forEach(email => {
+		if (!index.has(email)) index.set(email, contact)
+	}))
+	return index
+}
+
+/**
+ * Group discovered senders by contact. Senders of a contact with several
+ * addresses become one group carrying all of the contact's addresses; the
+ * original items are kept in members so grouping can be undone.
+ * @param {Array<Object>} items - Discovered items {email, path, selected}
+ * @param {Array<Object>} contacts - Contacts {id, name, emails}
+ * @returns {Array<Object>} Items and groups {email, emails, contact, members, folderBy, selected};
+ *   folderBy is an address to name the folder after, or '' for the contact name
+ */
+export const groupByContact = (items, contacts) => {
+	const index = indexContacts(contacts.filter(c => c.emails.length > 1))
+	const groups = new Map()
+
+	return items.flatMap(item => {
+		const contact = index.get(item.email)
+		if (!contact) return [item]
+
+		const group = groups.get(contact.id)
+		if (group) {
+			group.members.push(item)
+			group.selected = group.selected || item.selected
+			return []
+		}
+
+		const created = {
+			email: item.email,
+			emails: contact.emails,
+			contact: { id: contact.id, name: contact.name },
+			members: [item],
+			folderBy: contact.name ? '' : item.email,
+			selected: item.selected
+		}
+		groups.set(contact.id, created)
+		return [created]
+	})
+}
+
+/**
+ * Undo grouping
+ * @param {Array<Object>} items - Items possibly containing groups
+ * @returns {Array<Object>} Plain discovered items
+ */
+export const ungroup = (items) => items.flatMap(item => item.members || [item])
@@ -0,0 +1,106 @@
+/**
+ * Modules/DiscoveryQueue.js
+ * Queues of unmapped senders, filled by periodic background scans and by new
+ * mail as it arrives: checking senders against the rules, merging new
+ * results, dropping senders the rules or exclusions now cover, and deciding
+ * when a queue is worth a notification.
+ */
+
+import { SCAN_MODES } from '../config/constants.js'
+import { RuleEngine } from './RuleEngine.js'
+import { scannedAddresses } from './MailClient.js'
+import { combineStats, createSenderStats, recordMessage, listSenderStats } from './SenderStats.js'
+import { domainOf, domainRuleDomains } from './DomainAggregator.js'
+import { listRuleIds } from './MailingLists.js'
+import { compileExclusions } from './ExclusionRules.js'
+import { groupBy } from '../utils/data.js'
+
+// ============================================================================
+// Routing
+// ============================================================================
+
+/**
+ * Build checks telling whether the rules already file a sender or a list:
+ * per-user rules by address, enabled domain rules by domain, List-Id rules by list id.
+ * The root memory (RootMemory.js) is deliberately not consulted: its entries
+ * say under which root a sender's folder belongs, learned from rules and from
+ * existing folders or set by hand, so a remembered sender may still have no
+ * rule. It only proposes the folder of a sender once one is approved.
+ * @param {string} rulesContent - msgFilterRules.dat content
+ * @returns {Object} {routesSender(email), routesList(id), hasListRules}
+ */
+export const createRoutingCheck = (rulesContent) => {
+	const rules = RuleEngine.parse(rulesContent || '')
+	const existingEmails = new Set(rules.flatMap(r => r.emails))
+	const coveredDomains = new Set(rules.filter(r => r.enabled).flatMap(domainRuleDomains))
+	const routedLists = new Set(rules.flatMap(listRuleIds))
+
+	return {
+		routesSender: (email) => existingEmails.has(email) || coveredDomains.has(domainOf(email)),
+		routesList: (id) => routedLists.has(id),
+		hasListRules: routedLists.size > 0
+	}
+}
+
+/**
+ * Collect the senders of messages no rule would file. Junk and messages of
+ * routed lists are skipped.
+ * @param {Array<Object>} messages - MessageHeaders
+ * @param {Array<Object>} detected - detectList result per message (empty when headers were not read)
+ * @param {Object} routing - Checks from createRoutingCheck
+ * @param {Function} isIgnored - Predicate email -> boolean (own addresses, exclusions)
+ * @returns {Array<Object>} Senders with statistics [{email, count, unread, firstSeen, lastSeen, folders}]
+ */
+export const unmappedSenders = (messages, detected, routing, isIgnored) => {
+	const stats = createSenderStats()
+	messages.forEach((message, i) => {
+		const { list } = detected[i] || {}
+		if (message.junk || (list && routing.routesList(list.id))) return
+		scannedAddresses(SCAN_MODES.SENDERS, message)
+			.filter(email => !isIgnored(email) && !routing.routesSender(email))
+			.forEach(email => recordMessage(stats, email, message))
+	})
+	return listSenderStats(stats)
+}
+
+// ============================================================================
+// Queue
+// ============================================================================
+
+/**
+ * Merge scanned senders into the queue, combining the statistics of senders seen before
+ * @param {Array<Object>} queue - Queued senders {email, count, unread, firstSeen, lastSeen, folders}
+ * @param {Array<Object>} senders - Senders from MailClient.getSenders
+ * @returns {Array<Object>} Queue, one entry per address, most messages first
+ */
+export const mergeQueue = (queue, senders) => [...groupBy(s => s.email, [...queue, ...senders]).entries()]
+	.map(([email, group]) => ({ email, ...combineStats(group) }))
+	.sort((a, b) => b.count - a.count || a.email.localeCompare(b.email))
+
+/**
+ * Drop senders that are no longer unmapped: routed by a rule, covered by an
+ * enabled domain rule, or excluded from discovery
+ * @param {Array<Object>} queue - Queued senders
+ * @param {string} rulesContent - msgFilterRules.dat content
+ * @param {Array<Object>} exclusions - Discovery exclusions of the account
+ * @returns {Array<Object>} Remaining senders
+ */
+export const pruneQueue = (queue, rulesContent, exclusions) => {
+	const routing = createRoutingCheck(rulesContent)
+	const isExcluded = compileExclusions(exclusions)
+	return queue.filter(s => !routing.routesSender(s.email) && !isExcluded(s.email))
+}
+
+// ============================================================================
+// Notification
+// ============================================================================
+
+/**
+ * Check if the queue should be notified: it reached the threshold and grew
+ * past the size last notified
+ * @param {number} size - Queue length
+ * @param {number} threshold - Minimum queue length
+ * @param {number} notified - Queue length at the last notification (0 if none)
+ * @returns {boolean} True to notify
+ */
+export const shouldNotify = (size, threshold, notified) => size >= Math.max(1, threshold) && size > notified
@@ -0,0 +1,180 @@
+/**
+ * Modules/DomainAggregator.js
+ * Domain-wide rules: aggregation of discovered senders into one
+ * "(from,ends with,@domain)" rule per domain, and detection of per-user rules
+ * such a domain rule already covers.
+ */
+
+import {
+	ACTION_TYPES,
+	CONDITION_FIELDS,
+	CONDITION_MATCH,
+	CONDITION_OPERATORS,
+	ADDRESS_MATCH_OPERATORS
+} from '../config/constants.js'
+import { isAddressTerm } from './ConditionParser.js'
+import { extractEmailFromValue } from './RuleEngine.js'
+import { groupBy } from '../utils/data.js'
+
+// ============================================================================
+// Addresses
+// ============================================================================
+
+/**
+ * Check if an address stands for a whole domain ("@acme.com")
+ * @param {string} email - Address
+ * @returns {boolean} True for domain addresses
+ */
+export const isDomainAddress = (email) => String(email || '').startsWith('@')
+
+/**
+ * Domain part of an address
+ * @param {string} email - Address
+ * @returns {string} Lowercase domain (empty if there is none)
+ */
+export const domainOf = (email) => {
+	const address = String(email || '').trim().toLowerCase()
+	const at = address.lastIndexOf('@')
+	return at >= 0 ? address.slice(at + 1) : ''
+}
+
+// ============================================================================
+// Aggregation
+// ============================================================================
+
+/**
+ * Find domains with at least `threshold` discovered senders
+ * @param {Array<Object>} items - Discovered items {email}
+ * @param {number} threshold - Minimum senders per domain
+ * @returns {Array<Object>} Candidates [{domain, emails}], most senders first
+ */
+export const findDomainCandidates = (items, threshold) => {
+	const senders = items.filter(item => !item.emails && !isDomainAddress(item.email) && domainOf(item.email))
+	const byDomain = groupBy(item => domainOf(item.email), senders)
+
+	return [...byDomain.entries()]
+		.filter(([, group]) => group.length >= Math.max(2, threshold))
+		.map(([domain, group]) => ({ domain, emails: group.map(item => item.email) }))
+		.sort((a, b) => b.emails.length - a.emails.length || a.domain.localeCompare(b.domain))
+}
+
+/**
+ * Replace the senders of candidate domains with one domain item each.
+ * Contact groups are left alone; the original items are kept in members so
+ * aggregation can be undone.
+ * @param {Array<Object>} items - Discovered items {email, path, selected}
+ * @param {number} threshold - Minimum senders per domain
+ * @returns {Array<Object>} Items and domain items {email: "@domain", domain, members, selected}
+ */
+export const aggregateByDomain = (items, threshold) => {
+	const candidates = new Set(findDomainCandidates(items, threshold).map(c => c.domain))
+	const groups = new Map()
+
+	return items.flatMap(item => {
+		const domain = !item.emails && domainOf(item.email)
+		if (!domain || !candidates.has(domain)) return [item]
+
+		const group = groups.get(domain)
+		if (group) {
+			group.members.push(item)
+			group.selected = group.selected || item.selected
+			return []
+		}
+
+		const created = { email: `@${domain}`, domain, members: [item], selected: item.selected }
+		groups.set(domain, created)
+		return [created]
+	})
+}
+
+// ============================================================================
+// Redundancy
+// ============================================================================
+
+/**
+ * Domains a rule moves as a whole ("from ends with @domain" alternatives)
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {Array<string>} Lowercase domains (empty if the rule is not a domain rule)
+ */
+export const domainRuleDomains = (rule) => {
+	const { condition } = rule
+	if (!condition || condition.error || condition.terms.length === 0) return []
+	if (condition.terms.length > 1 && condition.match !== CONDITION_MATCH.OR) return []
+
+	return condition.terms
+		.filter(t => isAddressTerm(t) && t.field === CONDITION_FIELDS.FROM)
+		.filter(t => t.operator === CONDITION_OPERATORS.ENDS_WITH && isDomainAddress(t.value))
+		.map(t => domainOf(t.value))
+}
+
+/**
+ * Senders of a per-user rule whose every alternative names one address
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {Array<string>} Lowercase addresses (empty if the rule is not a per-user rule)
+ */
+const ruleSenders = (rule) => {
+	const { condition } = rule
+	if (!condition || condition.error || condition.terms.length === 0) return []
+	if (condition.terms.length > 1 && condition.match !== CONDITION_MATCH.OR) return []
+
+	const senders = condition.terms.map(t =>
+		isAddressTerm(t) && t.field === CONDITION_FIELDS.FROM && ADDRESS_MATCH_OPERATORS.includes(t.operator)
+			? extractEmailFromValue(t.value)
+			: null
+	)
+	return senders.every(Boolean) ? senders.map(s => s.toLowerCase()) : []
+}
+
+/**
+ * Check if two rules do the same thing (same actions and values, in order)
+ * @param {Object} a - Rule object
+ * @param {Object} b - Rule object
+ * @returns {boolean} True if the actions match
+ */
+const sameActions = (a, b) => {
+	const key = (rule) => JSON.stringify(rule.actions.map(action => [action.type, action.value ?? null]))
+	return key(a) === key(b)
+}
+
+/**
+ * Check if a rule ends filtering of the messages it matches (moves them or stops)
+ * @param {Object} rule - Rule object
+ * @returns {boolean} True if no later rule sees its messages
+ */
+const endsFiltering = (rule) => rule.actions.some(a =>
+	a.type === ACTION_TYPES.MOVE_TO_FOLDER || a.type === ACTION_TYPES.STOP_EXECUTION
+)
+
+/**
+ * Find enabled per-user rules whose senders are all matched by an enabled
+ * domain rule running on the same triggers. The domain rule must run first
+ * and end filtering (so the per-user rule never sees the mail) or do exactly
+ * the same, otherwise the per-user rule still acts or carves an exception out
+ * of the domain rule.
+ * @param {Array<Object>} rules - Rule objects from RuleFile, in file order
+ * @returns {Map<Object, Object>} Covered rule -> covering domain rule
+ */
+export const findCoveredRules = (rules) => {
+	const domainRules = rules
+		.map((rule, index) => ({ rule, index, domains: rule.enabled ? domainRuleDomains(rule) : [] }))
+		.filter(entry => entry.domains.length > 0)
+
+	const covered = new Map()
+	if (domainRules.length === 0) return covered
+
+	rules.forEach((rule, ruleIndex) => {
+		const senders = rule.enabled ? ruleSenders(rule) : []
+		if (senders.length === 0) return
+
+		const by = domainRules.find(({ rule: domainRule, index, domains }) =>
+			domainRule !== rule &&
+			((index < ruleIndex && endsFiltering(domainRule)) || sameActions(rule, domainRule)) &&
+			Number.isInteger(rule.type) && Number.isInteger(domainRule.type) &&
+			(rule.type & ~domainRule.type) === 0 &&
+			senders.every(sender => domains.includes(domainOf(sender)))
+		)
+		if (by) covered.set(rule, by.rule)
+	})
+
+	return covered
+}
@@ -0,0 +1,189 @@
+/**
+ * Modules/ExclusionRules.js
+ * Per-account exclusions for discovery: exact addresses, domains (with their
+ * subdomains), glob and regex patterns, and mailing lists by List-Id.
+ * Exclusions are edited as one per line, the kind being read from the shape
+ * of the line:
+ *   noreply@acme.com   address
+ *   noreply@           local part, any domain (read as noreply@*)
+ *   @acme.com          domain
+ *   notify-*@*.acme.com glob (* and ?)
+ *   /^bounce/i         regex
+ *   <news.acme.com>    mailing list (List-Id)
+ */
+
+import { EXCLUSION_KINDS } from '../config/constants.js'
+import { groupBy } from '../utils/data.js'
+
+const REGEX_LINE = /^\/(.+)\/([a-z]*)$/
+const LIST_LINE = /^<([^<>\s]+)>$/
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Drop repeated exclusions, keeping the first occurrence
+ * @param {Array<Object>} exclusions - Exclusions
+ * @returns {Array<Object>} Distinct exclusions
+ */
+const distinctExclusions = (exclusions) =>
+	[...groupBy(e => `${e.kind}:${e.pattern}`, exclusions).values()].map(group => group[0])
+
+/**
+ * Read one exclusion line
+ * @param {string} line - Line ("noreply@acme.com", "noreply@", "@acme.com", "*-bot@*", "/^bounce/i", "<news.acme.com>")
+ * @returns {Object|null} Exclusion {kind, pattern} or null for blank and "#" lines
+ * @throws {Error} If a regex does not compile
+ */
+export const parseExclusion = (line) => {
+	const text = String(line || '').trim()
+	if (!text || text.startsWith('#')) return null
+
+	const regex = text.match(REGEX_LINE)
+	if (regex) {
+		new RegExp(regex[1], regex[2])
+		return { kind: EXCLUSION_KINDS.REGEX, pattern: text }
+	}
+
+	const lower = text.toLowerCase()
+	const list = lower.match(LIST_LINE)
+	if (list) return { kind: EXCLUSION_KINDS.LIST, pattern: list[1] }
+	if (lower.endsWith('@') && lower.length > 1) return { kind: EXCLUSION_KINDS.GLOB, pattern: `${lower}*` }
+	if (/[*?]/.test(lower)) return { kind: EXCLUSION_KINDS.GLOB, pattern: lower }
+	if (lower.includes('@') && !lower.startsWith('@')) return { kind: EXCLUSION_KINDS.ADDRESS, pattern: lower }
+	return { kind: EXCLUSION_KINDS.DOMAIN, pattern: lower.replace(/^@/, '') }
+}
+
+/**
+ * Read exclusions from text, one per line
+ * @param {string} text - Exclusion lines
+ * @returns {Object} {exclusions, errors: [{line, text, message}]} without duplicates
+ */
+export const parseExclusionLines = (text) => {
+	const exclusions = []
+	const errors = []
+
+	String(text || '').split(/\r?\n/).forEach((line, i) => {
+		try {
+			const exclusion = parseExclusion(line)
+			if (exclusion) exclusions.push(exclusion)
+		} catch (e) {
+			errors.push({ line: i + 1, text: line.trim(), message: e.message })
+		}
+	})
+
+	return { exclusions: distinctExclusions(exclusions), errors }
+}
+
+/**
+ * Format one exclusion as a line
+ * @param {Object} exclusion - Exclusion {kind, pattern}
+ * @returns {string} Line
+ */
+export const formatExclusion = (exclusion) => {
+	if (exclusion.kind === EXCLUSION_KINDS.DOMAIN) return `@${exclusion.pattern}`
+	if (exclusion.kind === EXCLUSION_KINDS.LIST) return `<${exclusion.pattern}>`
+	return exclusion.pattern
+}
+
+/**
+ * Format exclusions as lines (for editing and export)
+ * @param {Array<Object>} exclusions - Exclusions
+ * @returns {string} Text
+ */
+export const formatExclusionLines = (exclusions) => (exclusions || []).map(formatExclusion).join('\n')
+
+// ============================================================================
+// Editing
+// ============================================================================
+
+/**
+ * Add exclusions
+ * @param {Array<Object>} exclusions - Existing exclusions
+ * @param {Array<Object>} added - Exclusions to add
+ * @returns {Array<Object>} New exclusions
+ */
+export const addExclusions = (exclusions, added) => distinctExclusions([...(exclusions || []), ...added])
+
+/**
+ * Exclusions that stop a discovered item from being suggested again: the
+ * list id of a list, the domain of a domain item, every address of a contact
+ * group, the address otherwise
+ * @param {Object} item - Discovered item {email, emails, domain, list}
+ * @returns {Array<Object>} Exclusions
+ */
+export const exclusionsForItem = (item) => {
+	if (item.list) return [{ kind: EXCLUSION_KINDS.LIST, pattern: item.list.id.toLowerCase() }]
+	if (item.domain) return [{ kind: EXCLUSION_KINDS.DOMAIN, pattern: item.domain }]
+	return (item.emails || [item.email]).map(email => ({ kind: EXCLUSION_KINDS.ADDRESS, pattern: email.toLowerCase() }))
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Turn a glob into a whole-address regex
+ * @param {string} glob - Glob (* any run, ? one character)
+ * @returns {RegExp} Case-insensitive regex
+ */
+const globToRegex = (glob) => new RegExp(
+	`^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`,
+	'i'
+)
+
+/**
+ * Build the matcher of one exclusion
+ * @param {Object} exclusion - Exclusion {kind, pattern}
+ * @returns {Function} Predicate lowercase email -> boolean
+ */
+const matcherOf = ({ kind, pattern }) => {
+	switch (kind) {
+		case EXCLUSION_KINDS.ADDRESS:
+			return (email) => email === pattern
+		case EXCLUSION_KINDS.DOMAIN:
+			return (email) => email.endsWith(`@${pattern}`) || email.endsWith(`.${pattern}`)
+		case EXCLUSION_KINDS.GLOB: {
+			const regex = globToRegex(pattern)
+			return (email) => regex.test(email)
+		}
+		case EXCLUSION_KINDS.REGEX: {
+			const [, source, flags] = pattern.match(REGEX_LINE)
+			const regex = new RegExp(source, flags.replace(/[gy]/g, ''))
+			return (email) => regex.test(email)
+		}
+		default:
+			return () => false
+	}
+}
+
+/**
+ * Compile exclusions into one predicate. Invalid entries are skipped, list
+ * exclusions never match an address (see compileListExclusions).
+ * @param {Array<Object>} exclusions - Exclusions
+ * @returns {Function} Predicate email -> boolean, true if any exclusion matches
+ */
+export const compileExclusions = (exclusions) => {
+	const matchers = (exclusions || []).flatMap(exclusion => {
+		try {
+			return [matcherOf(exclusion)]
+		} catch (e) {
+			return []
+		}
+	})
+	return (email) => {
+		const address = String(email || '').trim().toLowerCase()
+		return matchers.some(matches => matches(address))
+	}
+}
+
+/**
+ * Compile the list exclusions into one predicate
+ * @param {Array<Object>} exclusions - Exclusions
+ * @returns {Function} Predicate list id -> boolean, true if the list is excluded
+ */
+export const compileListExclusions = (exclusions) => {
+	const ids = new Set((exclusions || []).filter(e => e.kind === EXCLUSION_KINDS.LIST).map(e => e.pattern))
+	return (id) => ids.has(String(id || '').trim().toLowerCase())
+}
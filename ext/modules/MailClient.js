@@ -3,8 +3,22 @@
  * Thunderbird API wrapper with pure functions and dependency injection
  */
 
-import { LIMITS, INBOX_FOLDER_NAME, ERROR_MESSAGES } from '../config/constants.js'
-import { toSet, fromSet } from '../utils/data.js'
+import {
+	LIMITS,
+	SCAN_MODES,
+	INBOX_FOLDER_NAME,
+	ERROR_MESSAGES,
+	HIERARCHY_DELIMITERS,
+	PATH_SEPARATOR
+} from '../config/constants.js'
+import { toSet, unique, mapInChunks } from '../utils/data.js'
+import { collisionKey } from './PathSanitizer.js'
+import { contactFromNode } from './ContactGroups.js'
+import { createSenderStats, recordMessage, listSenderStats } from './SenderStats.js'
+import { detectList } from './MailingLists.js'
+import { compileExclusions, compileListExclusions } from './ExclusionRules.js'
+
+const HEADER_END = /\r?\n\r?\n/
 
 // ============================================================================
 // Account Operations
@@ -64,6 +78,7 @@ const createFolderItem = (folder, depth = 0) => ({
 	path: folder.path,
 	cleanPath: (folder.path || '').replace(/^\/+/, ''),
 	type: folder.type,
+	specialUse: folder.specialUse || (folder.type ? [folder.type] : []),
 	depth
 })
 
@@ -151,6 +166,24 @@ export const createFolder = (api) => (parentId, name) => {
 	return api.folders.create(String(parentId), name)
 }
 
+/**
+ * Move a folder (with its subfolders) into another folder
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (folderId, destinationId)
+ */
+export const moveFolder = (api) => (folderId, destinationId) => {
+	return api.folders.move(String(folderId), String(destinationId))
+}
+
+/**
+ * Rename a folder
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (folderId, name)
+ */
+export const renameFolder = (api) => (folderId, name) => {
+	return api.folders.rename(String(folderId), name)
+}
+
 /**
  * Find inbox folder from folder list
  * @param {Array} folders - Array of folder objects
@@ -187,36 +220,313 @@ const extractEmail = (author) => {
  * Check if email should be excluded
  * @param {Set} selfEmails - Set of self email addresses
  * @param {string} email - Email to check
+ * @param {Function} isExcluded - Exclusion predicate (see compileExclusions)
  * @returns {boolean} True if should be excluded
  */
-const shouldExcludeEmail = (selfEmails, email) => {
-	return !email || selfEmails.has(email)
+export const shouldExcludeEmail = (selfEmails, email, isExcluded = () => false) => {
+	return !email || selfEmails.has(email) || isExcluded(email)
+}
+
+/**
+ * Addresses a scan collects from a message: the author, or the To and Cc
+ * recipients (each once) when scanning for recipients
+ * @param {string} mode - SCAN_MODES value
+ * @param {Object} message - MessageHeader {author, recipients, ccList}
+ * @returns {Array<string>} Lowercase addresses (unparsable ones dropped)
+ */
+export const scannedAddresses = (mode, message) => {
+	const raw = mode === SCAN_MODES.RECIPIENTS
+		? [...(message.recipients || []), ...(message.ccList || [])]
+		: [message.author]
+	return unique(raw.map(extractEmail).filter(Boolean))
 }
 
 /**
- * Get unique sender emails from folder
+ * Get folders to scan: the picked ones, plus everything below them if asked
+ * @param {Array} folders - Account folders
+ * @param {Array<string>} folderIds - Picked folder IDs
+ * @param {boolean} includeSubfolders - Whether to include subtrees
+ * @returns {Array<string>} Folder IDs without duplicates
+ */
+export const expandFolderIds = (folders, folderIds, includeSubfolders) => {
+	if (!includeSubfolders) return unique(folderIds.map(String))
+
+	const roots = folders.filter(f => folderIds.includes(f.id))
+	const below = (folder) => roots.some(root =>
+		folder.id === root.id || (root.cleanPath && folder.cleanPath.startsWith(`${root.cleanPath}${PATH_SEPARATOR}`))
+	)
+	return unique([...folderIds.map(String), ...folders.filter(below).map(f => f.id)])
+}
+
+/**
+ * Count the messages stored in folders
  * @param {Object} api - Messenger API object
- * @returns {Function} Function accepting (folderId, limit, selfIdentities)
+ * @returns {Function} Function accepting folderIds, resolving to a count (null if unknown)
  */
-export const getSenders = (api) => async (folderId, limit, selfIdentities = []) => {
-	const messageLimit = limit || LIMITS.DEFAULT_SCAN_LIMIT
-	
-	const messages = await api.messages.list(String(folderId))
-	const list = (messages.messages || []).slice(0, messageLimit)
-	
+export const countMessages = (api) => async (folderIds) => {
+	try {
+		const infos = await Promise.all(folderIds.map(id => api.folders.getFolderInfo(id)))
+		return infos.reduce((sum, info) => sum + (info.totalMessageCount || 0), 0)
+	} catch (e) {
+		return null
+	}
+}
+
+/**
+ * Page through a message list until the pages run out or onPage returns false
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (messageList, onPage)
+ */
+const readPages = (api) => async (messageList, onPage) => {
+	let page = messageList
+
+	while (true) {
+		const more = await onPage(page.messages || [])
+		if (!page.id) return
+		if (more === false) {
+			await api.messages.abortList(page.id)
+			return
+		}
+		page = await api.messages.continueList(page.id)
+	}
+}
+
+/**
+ * Page through query results until the pages run out or onPage returns false
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (queryInfo, onPage)
+ */
+const queryPages = (api) => async (queryInfo, onPage) => readPages(api)(await api.messages.query(queryInfo), onPage)
+
+/**
+ * Get every message of a message list (e.g. from messages.onNewMailReceived)
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting messageList, resolving to MessageHeaders
+ */
+export const listMessages = (api) => async (messageList) => {
+	const messages = []
+	await readPages(api)(messageList, (page) => { messages.push(...page) })
+	return messages
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?utf-8?q?...?=) in a header value
+ * @param {string} value - Raw header value
+ * @returns {string} Decoded value (words in unknown charsets are kept as is)
+ */
+const decodeEncodedWords = (value) => value
+	.replace(/(\?=)\s+(?==\?)/g, '$1')
+	.replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (word, charset, encoding, text) => {
+		try {
+			const binary = encoding.toLowerCase() === 'b'
+				? atob(text)
+				: text.replace(/_/g, ' ').replace(/=([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+			return new TextDecoder(charset).decode(Uint8Array.from(binary, c => c.charCodeAt(0)))
+		} catch (e) {
+			return word
+		}
+	})
+
+/**
+ * Parse the header block of a raw message into MessagePart-style headers
+ * @param {string} text - Header block (up to the first blank line)
+ * @returns {Object} Headers with lowercase names and array values
+ */
+export const parseHeaderBlock = (text) => {
+	const headers = {}
+	text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+		const colon = line.indexOf(':')
+		if (colon <= 0) return
+		const name = line.slice(0, colon).trim().toLowerCase()
+		headers[name] = [...(headers[name] || []), decodeEncodedWords(line.slice(colon + 1).trim())]
+	})
+	return headers
+}
+
+/**
+ * Read the header block of a raw message (a File, or a binary string on older
+ * Thunderbird). A File is read LIMITS.HEADER_BYTES at first, doubling until the
+ * blank line ending the headers is found, so bodies and attachments stay unread.
+ * @param {File|string} raw - messages.getRaw result
+ * @returns {Promise<string>} Header block
+ */
+const readHeaderBlock = async (raw) => {
+	if (typeof raw === 'string') {
+		const end = raw.search(HEADER_END)
+		const bytes = end >= 0 ? raw.slice(0, end) : raw
+		return new TextDecoder().decode(Uint8Array.from(bytes, c => c.charCodeAt(0)))
+	}
+
+	for (let size = LIMITS.HEADER_BYTES; ; size *= 2) {
+		const text = await raw.slice(0, size).text()
+		const end = text.search(HEADER_END)
+		if (end >= 0) return text.slice(0, end)
+		if (size >= raw.size) return text
+	}
+}
+
+/**
+ * Get the headers of a message. Only the raw header block is read and parsed,
+ * so no MIME tree is built for the body and its attachments.
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting messageId, resolving to headers (empty on failure)
+ */
+export const getHeaders = (api) => async (messageId) => {
+	try {
+		return parseHeaderBlock(await readHeaderBlock(await api.messages.getRaw(messageId)))
+	} catch (e) {
+		console.error(ERROR_MESSAGES.GET_HEADERS_FAILED, e)
+		return {}
+	}
+}
+
+/**
+ * Detect list traffic of several messages, reading LIMITS.HEADER_READS
+ * messages at a time
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting MessageHeaders, resolving to detectList results in order
+ */
+export const detectLists = (api) => (messages) =>
+	mapInChunks(LIMITS.HEADER_READS, msg => getHeaders(api)(msg.id).then(detectList), messages)
+
+/**
+ * Get unique senders (or, in recipients mode, To/Cc recipients) with their
+ * statistics from several folders, page by page. Own identities and addresses
+ * matching the account's exclusions are dropped.
+ * With detectLists, headers are read as well: list traffic is counted per list
+ * instead of per sender (lists excluded by id are dropped), and senders of bulk mail are flagged.
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (scan, selfIdentities, onProgress, isCancelled);
+ *   scan is {folderIds, fromDate, toDate, limit, mode, detectLists, exclusions} with limit 0 for no limit;
+ *   resolves to {senders: [{email, count, unread, firstSeen, lastSeen, folders, bulk}],
+ *   lists: [{id, name, count, unread, firstSeen, lastSeen, folders}], scanned, cancelled}
+ */
+export const getSenders = (api) => async (scan, selfIdentities = [], onProgress = () => {}, isCancelled = () => false) => {
+	const limit = scan.limit ?? LIMITS.DEFAULT_SCAN_LIMIT
+	const queryInfo = {
+		folderId: scan.folderIds,
+		...(scan.fromDate && { fromDate: scan.fromDate }),
+		...(scan.toDate && { toDate: scan.toDate })
+	}
+
 	const selfEmails = toSet(
 		selfIdentities.map(i => (i.email || '').toLowerCase())
 	)
-	const senders = new Set()
-	
-	for (const msg of list) {
-		const email = extractEmail(msg.author)
-		if (!shouldExcludeEmail(selfEmails, email)) {
-			senders.add(email)
-		}
+	const isExcluded = compileExclusions(scan.exclusions)
+	const isListExcluded = compileListExclusions(scan.exclusions)
+	const stats = createSenderStats()
+	const listStats = createSenderStats()
+	const listNames = new Map()
+	const bulkSenders = new Set()
+	let scanned = 0
+
+	await queryPages(api)(queryInfo, async (messages) => {
+		const page = limit ? messages.slice(0, limit - scanned) : messages
+		const detected = scan.detectLists
+			? await detectLists(api)(page)
+			: []
+
+		page.forEach((msg, i) => {
+			const { list, bulk } = detected[i] || {}
+			if (list) {
+				if (isListExcluded(list.id)) return
+				recordMessage(listStats, list.id, msg)
+				if (list.name && !listNames.has(list.id)) listNames.set(list.id, list.name)
+				return
+			}
+			scannedAddresses(scan.mode, msg)
+				.filter(email => !shouldExcludeEmail(selfEmails, email, isExcluded))
+				.forEach(email => {
+					recordMessage(stats, email, msg)
+					if (bulk && scan.mode !== SCAN_MODES.RECIPIENTS) bulkSenders.add(email)
+				})
+		})
+		scanned += page.length
+		onProgress({ scanned, senders: stats.size + listStats.size })
+		return !isCancelled() && (!limit || scanned < limit)
+	})
+
+	return {
+		senders: listSenderStats(stats).map(s => ({ ...s, bulk: bulkSenders.has(s.email) })),
+		lists: listSenderStats(listStats).map(({ email, ...s }) => ({ id: email, name: listNames.get(email) || '', ...s })),
+		scanned,
+		cancelled: isCancelled()
+	}
+}
+
+// ============================================================================
+// Message Filing Operations
+// ============================================================================
+
+/**
+ * Collect the messages of several folders that pick assigns a target to
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (folderIds, pick, onProgress, isCancelled); pick
+ *   maps a MessageHeader to a target (or null), possibly async, and runs on
+ *   LIMITS.HEADER_READS messages at a time; resolves to
+ *   {messages: [{id, headerMessageId, folderId, target}], scanned, cancelled}
+ */
+export const collectMessages = (api) => async (folderIds, pick, onProgress = () => {}, isCancelled = () => false) => {
+	const picked = []
+	let scanned = 0
+	if (folderIds.length === 0) return { messages: picked, scanned, cancelled: false }
+
+	await queryPages(api)({ folderId: folderIds }, async (messages) => {
+		const targets = await mapInChunks(LIMITS.HEADER_READS, pick, messages)
+		messages.forEach((msg, i) => {
+			if (targets[i]) picked.push({
+				id: msg.id,
+				headerMessageId: msg.headerMessageId,
+				folderId: msg.folder && String(msg.folder.id),
+				target: targets[i]
+			})
+		})
+		scanned += messages.length
+		onProgress({ scanned, matched: picked.length })
+		return !isCancelled()
+	})
+
+	return { messages: picked, scanned, cancelled: isCancelled() }
+}
+
+/**
+ * Move messages into a folder
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (messageIds, folderId)
+ */
+export const moveMessages = (api) => (messageIds, folderId) => {
+	return api.messages.move(messageIds, String(folderId))
+}
+
+/**
+ * Copy messages into a folder
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (messageIds, folderId)
+ */
+export const copyMessages = (api) => (messageIds, folderId) => {
+	return api.messages.copy(messageIds, String(folderId))
+}
+
+// ============================================================================
+// Contact Operations
+// ============================================================================
+
+/**
+ * List contacts with at least one email address from all address books
+ * @param {Object} api - Messenger API object
+ * @returns {Promise<Array>} Contacts {id, name, emails}
+ */
+export const listContacts = async (api) => {
+	try {
+		const books = await api.addressBooks.list()
+		const nodes = await Promise.all(books.map(book => api.addressBooks.contacts.list(book.id)))
+		return nodes.flat()
+			.map(contactFromNode)
+			.filter(contact => contact.emails.length > 0)
+	} catch (e) {
+		console.error(ERROR_MESSAGES.LIST_CONTACTS_FAILED, e)
+		return []
 	}
-	
-	return fromSet(senders)
 }
 
 // ============================================================================
@@ -226,11 +536,11 @@ export const getSenders = (api) => async (folderId, limit, selfIdentities = [])
 /**
  * Build folder map for quick lookup
  * @param {Array} folders - Array of folder objects
- * @returns {Map} Map of cleanPath (lowercase) to folder
+ * @returns {Map} Map of cleanPath (collision key: lowercase, NFC) to folder
  */
 export const buildFolderMap = (folders) => {
 	return new Map(
-		folders.map(f => [f.cleanPath.toLowerCase(), f])
+		folders.map(f => [collisionKey(f.cleanPath), f])
 	)
 }
 
@@ -258,13 +568,36 @@ export const getParentPath = (path) => {
 	return parts.slice(0, -1).join('/')
 }
 
+/**
+ * Guess the IMAP hierarchy delimiter from the folder names.
+ * Only a name holding a "/" proves the server does not split on "/"; the
+ * layout of the tree proves nothing (Dovecot "/" servers keep everything
+ * below INBOX too), so without that signal "/" is assumed and "." servers
+ * need the delimiter set by hand.
+ * @param {Array} folders - Array of folder objects
+ * @returns {string} HIERARCHY_DELIMITERS.SLASH or HIERARCHY_DELIMITERS.DOT
+ */
+export const detectDelimiter = (folders) =>
+	folders.some(f => (f.name || '').includes(HIERARCHY_DELIMITERS.SLASH))
+		? HIERARCHY_DELIMITERS.DOT
+		: HIERARCHY_DELIMITERS.SLASH
+
+/**
+ * Resolve the delimiter of an account from its setting
+ * @param {string} setting - HIERARCHY_DELIMITERS value (AUTO detects)
+ * @param {Array} folders - Array of folder objects
+ * @returns {string} Hierarchy delimiter
+ */
+export const resolveDelimiter = (setting, folders) =>
+	setting && setting !== HIERARCHY_DELIMITERS.AUTO ? setting : detectDelimiter(folders)
+
 /**
  * Check if folder exists in map (case-insensitive)
  * @param {Map} folderMap - Folder map
  * @returns {Function} Function accepting path
  */
 export const folderExists = (folderMap) => (path) => {
-	return folderMap.has(path.toLowerCase())
+	return folderMap.has(collisionKey(path))
 }
 
 // ============================================================================
@@ -275,14 +608,27 @@ export const MailClient = {
 	// Primary functions
 	scanAccount: scanAccount(messenger),
 	getSenders: getSenders(messenger),
+	countMessages: countMessages(messenger),
+	listMessages: listMessages(messenger),
+	getHeaders: getHeaders(messenger),
+	detectLists: detectLists(messenger),
+	collectMessages: collectMessages(messenger),
+	moveMessages: moveMessages(messenger),
+	copyMessages: copyMessages(messenger),
 	createFolder: createFolder(messenger),
+	moveFolder: moveFolder(messenger),
+	renameFolder: renameFolder(messenger),
 	
 	// Additional exports
 	getAccount: getAccount(messenger),
 	listImapAccounts: () => listImapAccounts(messenger),
+	listContacts: () => listContacts(messenger),
 	findInboxFolder,
 	buildFolderMap,
 	sortPathsByDepth,
 	getParentPath,
-	folderExists
+	folderExists,
+	expandFolderIds,
+	detectDelimiter,
+	resolveDelimiter
 }
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * Modules/MailingLists.js
+ * Mailing-list detection from message headers (List-Id, List-Unsubscribe,
+ * Precedence), one folder per list ("Lists/org/kernel/linux-kernel") and
+ * recognition of existing List-Id rules.
+ */
+
+import {
+	CONDITION_MATCH,
+	LIST_ID_HEADER,
+	LIST_HOST_LABELS,
+	BULK_PRECEDENCES,
+	ADDRESS_MATCH_OPERATORS
+} from '../config/constants.js'
+import { parseDomain } from './PublicSuffix.js'
+
+// ============================================================================
+// Headers
+// ============================================================================
+
+/**
+ * Parse a List-Id header value ("Linux Kernel <linux-kernel.vger.kernel.org>")
+ * @param {string} value - Header value
+ * @returns {Object|null} {id, name} with a lowercase id, or null if there is none
+ */
+export const parseListId = (value) => {
+	const text = String(value || '').trim()
+	const bracketed = text.match(/^(.*)<([^<>]+)>\s*$/)
+	const id = (bracketed ? bracketed[2] : text).trim().toLowerCase()
+	if (!id || /[\s<>@]/.test(id)) return null
+
+	const name = bracketed ? bracketed[1].trim().replace(/^"(.*)"$/, '$1').trim() : ''
+	return { id, name }
+}
+
+/**
+ * First value of a header (MessagePart headers have lowercase names and array values)
+ * @param {Object} headers - Headers object
+ * @param {string} name - Header name
+ * @returns {string} Value (empty if missing)
+ */
+const headerValue = (headers, name) => {
+	const values = (headers || {})[name.toLowerCase()]
+	return Array.isArray(values) ? values[0] || '' : values || ''
+}
+
+/**
+ * Detect list and bulk traffic from message headers
+ * @param {Object} headers - Headers object from MailClient.getHeaders
+ * @returns {Object} {list: {id, name}|null, bulk} where bulk is set for list
+ *   traffic and for mail carrying List-Unsubscribe or Precedence: bulk
+ */
+export const detectList = (headers) => {
+	const list = parseListId(headerValue(headers, LIST_ID_HEADER))
+	const precedence = headerValue(headers, 'Precedence').trim().toLowerCase()
+	const bulk = Boolean(list || headerValue(headers, 'List-Unsubscribe') || BULK_PRECEDENCES.includes(precedence))
+	return { list, bulk }
+}
+
+// ============================================================================
+// Folders
+// ============================================================================
+
+/**
+ * Folder segments of a list: reversed registrable domain, then the list name.
+ * Host labels such as "lists" or "vger" are dropped from the name; other
+ * subdomains are kept in front of it ("dev.httpd.apache.org" -> org/apache/httpd-dev).
+ * @param {string} listId - List id
+ * @returns {Array<string>} Segments (empty for an empty id)
+ */
+export const listPathSegments = (listId) => {
+	const id = String(listId || '').toLowerCase()
+	if (!id) return []
+
+	const parsed = parseDomain(id)
+	if (!parsed) return [id]
+
+	const domain = [...parsed.suffix.split('.').reverse(), parsed.label]
+	const [name, ...hosts] = parsed.subdomains
+	if (!name) return domain
+
+	const kept = hosts.filter(label => !LIST_HOST_LABELS.includes(label)).reverse()
+	return [...domain, [...kept, name].join('-')]
+}
+
+// ============================================================================
+// Existing Rules
+// ============================================================================
+
+/**
+ * List ids a rule already routes (List-Id alternatives)
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {Array<string>} Lowercase list ids (empty if the rule is not a list rule)
+ */
+export const listRuleIds = (rule) => {
+	const { condition } = rule
+	if (!condition || condition.error || condition.terms.length === 0) return []
+	if (condition.terms.length > 1 && condition.match !== CONDITION_MATCH.OR) return []
+
+	return condition.terms
+		.filter(t => t.customHeader && t.field.toLowerCase() === LIST_ID_HEADER.toLowerCase())
+		.filter(t => ADDRESS_MATCH_OPERATORS.includes(t.operator))
+		.map(t => String(t.value).trim().replace(/^<|>$/g, '').toLowerCase())
+		.filter(Boolean)
+}
@@ -0,0 +1,265 @@
+/**
+ * Modules/MappingEngine.js
+ * Email <-> folder path mapping strategies.
+ * Every strategy maps an email to a path suffix (below the target root) and,
+ * where possible, a path suffix back to an address. Strategies without a user
+ * leaf map back to a domain address ("@acme.com").
+ */
+
+import {
+	MAPPING_STRATEGIES,
+	TEMPLATE_PLACEHOLDERS,
+	DEFAULT_SUBDOMAIN_LEVELS,
+	PATH_SEPARATOR,
+	REGEX_PATTERNS
+} from '../config/constants.js'
+import { domainToPath, pathToEmail } from './RuleEngine.js'
+import { parseDomain, limitSubdomains, hasListedRegistrable } from './PublicSuffix.js'
+import { createSanitizer } from './PathSanitizer.js'
+
+const PLACEHOLDER = /\{(\w+)\}/g
+
+// ============================================================================
+// Email Parts
+// ============================================================================
+
+/**
+ * Split a domain at its public suffix
+ * @param {string} domain - Domain (a.mail.acme.co.uk)
+ * @param {number} subdomainLevels - Subdomain levels to keep
+ * @returns {Object|null} {domain, sub, sld, tld, registrable} or null without a registrable part
+ */
+export const splitDomain = (domain, subdomainLevels = DEFAULT_SUBDOMAIN_LEVELS) => {
+	const parsed = parseDomain(domain)
+	if (!parsed) return null
+
+	const limited = limitSubdomains(parsed, subdomainLevels)
+	return {
+		domain: limited.domain,
+		sub: limited.subdomains.join('.'),
+		sld: limited.label,
+		tld: limited.suffix,
+		registrable: limited.registrable
+	}
+}
+
+/**
+ * Split an email into template parts
+ * @param {string} email - Email address
+ * @param {number} subdomainLevels - Subdomain levels to keep
+ * @returns {Object|null} {local, domain, sub, sld, tld, registrable} or null if invalid
+ */
+export const parseEmail = (email, subdomainLevels = DEFAULT_SUBDOMAIN_LEVELS) => {
+	const parts = String(email || '').toLowerCase().trim().split('@')
+	if (parts.length !== 2 || !parts[0]) return null
+
+	const domain = splitDomain(parts[1], subdomainLevels)
+	return domain ? { local: parts[0], ...domain } : null
+}
+
+/**
+ * Build an address from local part and domain
+ * @param {string} local - Local part (empty for a domain address)
+ * @param {string} domain - Domain
+ * @returns {string|null} "local@domain", "@domain" or null if invalid or not
+ *   registrable under a listed suffix
+ */
+const buildAddress = (local, domain) => {
+	if (!domain || !hasListedRegistrable(domain) || /[\s/@]/.test(domain)) return null
+	if (!local) return `@${domain.toLowerCase()}`
+
+	const email = `${local}@${domain}`.toLowerCase()
+	const match = email.match(REGEX_PATTERNS.EMAIL_ADDRESS)
+	return match && match[0] === email ? email : null
+}
+
+/**
+ * Split a path suffix into non-empty segments
+ * @param {string} path - Path suffix
+ * @returns {Array<string>} Segments
+ */
+const segmentsOf = (path) => String(path || '').split(PATH_SEPARATOR).filter(Boolean)
+
+/**
+ * Sanitise every value of the email parts before they become path segments
+ * @param {Object} parts - Parts from parseEmail
+ * @param {Function} sanitize - Segment sanitiser
+ * @returns {Object} Sanitised parts (empty values stay empty)
+ */
+const sanitizeParts = (parts, sanitize) => Object.fromEntries(
+	Object.entries(parts).map(([key, value]) => [key, value ? sanitize(value) : value])
+)
+
+// ============================================================================
+// Templates
+// ============================================================================
+
+/**
+ * Fill a path template ("{tld}/{sld}/{local}") with email parts.
+ * Segments that end up empty are dropped.
+ * @param {string} template - Path template
+ * @param {Object} parts - Parts from parseEmail
+ * @returns {string|null} Path suffix or null if nothing remains
+ */
+export const fillTemplate = (template, parts) => {
+	const path = segmentsOf(template)
+		.map(segment => segment.replace(PLACEHOLDER, (_, name) => parts[name] ?? '').trim())
+		.filter(Boolean)
+		.join(PATH_SEPARATOR)
+
+	return path || null
+}
+
+/**
+ * Build a regex matching paths produced by a template
+ * @param {Array<string>} segments - Template segments
+ * @returns {Object} {regex, names} with capture group names in order
+ */
+const templateMatcher = (segments) => {
+	const names = []
+	const source = segments
+		.map(segment => segment
+			.split(PLACEHOLDER)
+			.map((piece, i) => {
+				if (i % 2 === 0) return piece.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+				names.push(piece)
+				return '([^/]+)'
+			})
+			.join(''))
+		.join(PATH_SEPARATOR)
+
+	return { regex: new RegExp(`^${source}$`, 'i'), names }
+}
+
+/**
+ * Read placeholder values from a path produced by a template
+ * @param {Array<string>} segments - Template segments
+ * @param {string} path - Path suffix
+ * @returns {Object|null} Placeholder values or null if path does not match
+ */
+const readTemplate = (segments, path) => {
+	const { regex, names } = templateMatcher(segments)
+	const match = segmentsOf(path).join(PATH_SEPARATOR).match(regex)
+	if (!match) return null
+
+	const values = {}
+	for (let i = 0; i < names.length; i++) {
+		const value = match[i + 1].toLowerCase()
+		if (values[names[i]] !== undefined && values[names[i]] !== value) return null
+		values[names[i]] = value
+	}
+	return values
+}
+
+/**
+ * Reconstruct an address from a path produced by a template
+ * @param {string} template - Path template
+ * @param {string} path - Path suffix
+ * @returns {string|null} Email, "@domain" or null
+ */
+export const templateToAddress = (template, path) => {
+	const segments = segmentsOf(template)
+	const subSegment = `{${TEMPLATE_PLACEHOLDERS.SUB}}`
+
+	// {sub} is empty for most senders, so its segment is usually dropped
+	const values = readTemplate(segments, path) ||
+		(segments.includes(subSegment) ? readTemplate(segments.filter(s => s !== subSegment), path) : null)
+	if (!values) return null
+
+	const registrable = values.registrable ||
+		(values.sld && values.tld ? `${values.sld}.${values.tld}` : '')
+	const domain = values.domain || [values.sub, registrable].filter(Boolean).join('.')
+
+	return buildAddress(values.local, domain)
+}
+
+// ============================================================================
+// Strategies
+// ============================================================================
+
+/**
+ * Strategy table: id -> {toPath(parts, template), toAddress(path, template)}
+ */
+const STRATEGIES = {
+	[MAPPING_STRATEGIES.REVERSED_DOMAIN_USER]: {
+		toPath: (parts) => [domainToPath(parts.domain, Infinity), parts.local].join(PATH_SEPARATOR),
+		toAddress: (path) => pathToEmail(path)
+	},
+	[MAPPING_STRATEGIES.DOMAIN_USER]: {
+		toPath: (parts) => [parts.domain, parts.local].join(PATH_SEPARATOR),
+		toAddress: (path) => {
+			const segments = segmentsOf(path)
+			return segments.length === 2 ? buildAddress(segments[1], segments[0]) : null
+		}
+	},
+	[MAPPING_STRATEGIES.REGISTRABLE_DOMAIN_USER]: {
+		toPath: (parts) => [parts.registrable, parts.local].join(PATH_SEPARATOR),
+		toAddress: (path) => {
+			const segments = segmentsOf(path)
+			return segments.length === 2 ? buildAddress(segments[1], segments[0]) : null
+		}
+	},
+	[MAPPING_STRATEGIES.DOMAIN_ONLY]: {
+		toPath: (parts) => parts.registrable,
+		toAddress: (path) => {
+			const segments = segmentsOf(path)
+			return segments.length === 1 ? buildAddress('', segments[0]) : null
+		}
+	},
+	[MAPPING_STRATEGIES.REVERSED_DOMAIN]: {
+		toPath: (parts) => domainToPath(parts.domain, Infinity),
+		toAddress: (path) => {
+			const segments = segmentsOf(path)
+			return segments.length >= 2 ? buildAddress('', [...segments].reverse().join('.')) : null
+		}
+	},
+	[MAPPING_STRATEGIES.TEMPLATE]: {
+		toPath: (parts, template) => fillTemplate(template, parts),
+		toAddress: (path, template) => templateToAddress(template, path)
+	}
+}
+
+/**
+ * Get a mapping strategy
+ * @param {string} id - MAPPING_STRATEGIES value (unknown ids fall back to reversed domain + user)
+ * @param {string} template - Path template for the template strategy
+ * @param {number} subdomainLevels - Subdomain levels kept in paths
+ * @param {Function} sanitize - Segment sanitiser applied to email parts
+ * @returns {Object} Strategy {id, toPath(email), toDomainPath(domain), toAddress(path)};
+ *   toDomainPath drops the user level
+ */
+export const getStrategy = (
+	id,
+	template = '',
+	subdomainLevels = DEFAULT_SUBDOMAIN_LEVELS,
+	sanitize = createSanitizer()
+) => {
+	const key = STRATEGIES[id] ? id : MAPPING_STRATEGIES.REVERSED_DOMAIN_USER
+	const strategy = STRATEGIES[key]
+
+	return {
+		id: key,
+		toPath: (email) => {
+			const parts = parseEmail(email, subdomainLevels)
+			return parts ? strategy.toPath(sanitizeParts(parts, sanitize), template) : null
+		},
+		toDomainPath: (domain) => {
+			const parts = parseEmail(`_@${domain}`, subdomainLevels)
+			if (!parts) return null
+			const path = strategy.toPath(sanitizeParts({ ...parts, local: '' }, sanitize), template)
+			return segmentsOf(path).join(PATH_SEPARATOR) || null
+		},
+		toAddress: (path) => strategy.toAddress(path, template)
+	}
+}
+
+/**
+ * Join target root and path suffix
+ * @param {string} root - Target root (may be empty)
+ * @param {string} suffix - Path suffix from a strategy
+ * @returns {string} Full folder path
+ */
+export const joinRoot = (root, suffix) => {
+	const base = String(root || '').replace(/\/+$/, '')
+	return base ? `${base}${PATH_SEPARATOR}${suffix}` : suffix
+}
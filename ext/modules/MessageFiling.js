@@ -0,0 +1,120 @@
+/**
+ * Modules/MessageFiling.js
+ * Retroactive filing: which existing messages belong in the folders created
+ * for discovered senders, domains and lists, and the undo log of moves.
+ */
+
+import { SCAN_MODES } from '../config/constants.js'
+import { scannedAddresses } from './MailClient.js'
+import { domainOf } from './DomainAggregator.js'
+import { detectList } from './MailingLists.js'
+import { groupBy, unique } from '../utils/data.js'
+
+// ============================================================================
+// Targets
+// ============================================================================
+
+/**
+ * Group discovered items by target folder (plain values, safe to post over a port)
+ * @param {Array<Object>} items - Discovered items {email, emails, domain, list, path}
+ * @returns {Array<Object>} Targets [{path, emails, domains, lists}]
+ */
+export const filingTargets = (items) => [...groupBy(item => item.path, items.filter(item => item.path)).entries()]
+	.map(([path, group]) => ({
+		path,
+		emails: unique(group
+			.filter(item => !item.domain && !item.list)
+			.flatMap(item => item.emails || [item.email])
+			.map(email => email.toLowerCase())),
+		domains: unique(group.filter(item => item.domain).map(item => item.domain)),
+		lists: unique(group.filter(item => item.list).map(item => item.list.id))
+	}))
+
+/**
+ * Check if matching needs message headers (list targets)
+ * @param {Array<Object>} targets - Targets from filingTargets
+ * @returns {boolean} True if any target files a mailing list
+ */
+export const needsHeaders = (targets) => targets.some(target => target.lists.length > 0)
+
+/**
+ * Index target values (the first target naming a value wins)
+ * @param {Array<Object>} targets - Targets
+ * @param {string} key - "emails", "domains" or "lists"
+ * @returns {Map<string, string>} Value -> target path
+ */
+const indexTargets = (targets, key) => {
+	const index = new Map()
+	targets.forEach(target => target[key].forEach(value => {
+		if (!index.has(value)) index.set(value, target.path)
+	}))
+	return index
+}
+
+/**
+ * Build a matcher picking the target folder of a message, the way the generated
+ * rules would: List-Id first, then exact addresses, then domains. Recipient
+ * discovery matches both directions (author, To and Cc).
+ * @param {Array<Object>} targets - Targets from filingTargets
+ * @param {string} mode - SCAN_MODES value of the discovery
+ * @returns {Function} Function accepting (message, headers) and returning a target path or null
+ */
+export const createFilingMatcher = (targets, mode = SCAN_MODES.SENDERS) => {
+	const byEmail = indexTargets(targets, 'emails')
+	const byDomain = indexTargets(targets, 'domains')
+	const byList = indexTargets(targets, 'lists')
+
+	return (message, headers = null) => {
+		const { list } = headers ? detectList(headers) : { list: null }
+		if (list && byList.has(list.id)) return byList.get(list.id)
+
+		const addresses = mode === SCAN_MODES.RECIPIENTS
+			? unique([...scannedAddresses(SCAN_MODES.SENDERS, message), ...scannedAddresses(SCAN_MODES.RECIPIENTS, message)])
+			: scannedAddresses(SCAN_MODES.SENDERS, message)
+
+		const email = addresses.find(address => byEmail.has(address))
+		if (email) return byEmail.get(email)
+
+		const domain = addresses.map(domainOf).find(d => byDomain.has(d))
+		return domain ? byDomain.get(domain) : null
+	}
+}
+
+/**
+ * Count matched messages per target folder
+ * @param {Array<Object>} matched - Matched messages {target}
+ * @returns {Array<Object>} [{path, count}], largest first
+ */
+export const countByTarget = (matched) => [...groupBy(m => m.target, matched).entries()]
+	.map(([path, group]) => ({ path, count: group.length }))
+	.sort((a, b) => b.count - a.count || a.path.localeCompare(b.path))
+
+// ============================================================================
+// Undo Log
+// ============================================================================
+
+/**
+ * Record a batch of moves for undo
+ * @param {Array<Object>} moved - Moved messages {headerMessageId, folderId, targetId}
+ * @param {number} movedAt - Start of the filing run in ms (the same run keeps the same batch ID)
+ * @returns {Object} Batch {id, movedAt, moves: [{headerMessageId, from, to}]}
+ */
+export const createFilingBatch = (moved, movedAt = Date.now()) => ({
+	id: `filing-${movedAt}`,
+	movedAt,
+	moves: moved.map(m => ({ headerMessageId: m.headerMessageId, from: m.folderId, to: m.targetId }))
+})
+
+/**
+ * Where the messages of a batch must go back to, per folder they were moved into
+ * @param {Object} batch - Batch from createFilingBatch
+ * @returns {Map<string, Map<string, string>>} Target folder ID -> (headerMessageId -> source folder ID)
+ */
+export const returnsByFolder = (batch) => {
+	const returns = new Map()
+	batch.moves.forEach(move => {
+		if (!returns.has(move.to)) returns.set(move.to, new Map())
+		returns.get(move.to).set(move.headerMessageId, move.from)
+	})
+	return returns
+}
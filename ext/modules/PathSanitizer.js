@@ -0,0 +1,199 @@
+/**
+ * Modules/PathSanitizer.js
+ * Folder name sanitisation and collision detection.
+ * Segments are cleaned before they are joined into paths, so a "/" inside a
+ * local part can never create an extra folder level.
+ */
+
+import {
+	DEFAULT_CONFIG,
+	PATH_SEPARATOR,
+	SANITIZE,
+	COLLISION_KINDS
+} from '../config/constants.js'
+import { groupBy, unique } from '../utils/data.js'
+
+// ============================================================================
+// Replacement Rules
+// ============================================================================
+
+/**
+ * Parse replacement rules from "chars => replacement" lines
+ * @param {string} text - One rule per line
+ * @returns {Array<Object>} Rules [{chars, replacement}]
+ */
+export const parseReplacementRules = (text) => String(text || '')
+	.split(/\r?\n/)
+	.map(line => line.split(SANITIZE.RULE_SEPARATOR))
+	.filter(parts => parts.length === 2 && parts[0].trim())
+	.map(([chars, replacement]) => ({ chars: chars.trim(), replacement: replacement.trim() }))
+
+/**
+ * Format replacement rules as "chars => replacement" lines
+ * @param {Array<Object>} rules - Rules [{chars, replacement}]
+ * @returns {string} Text for the options page
+ */
+export const formatReplacementRules = (rules) => (rules || [])
+	.map(r => `${r.chars} ${SANITIZE.RULE_SEPARATOR} ${r.replacement}`)
+	.join('\n')
+
+// ============================================================================
+// Segment Sanitisation
+// ============================================================================
+
+/**
+ * Replace every character of a rule
+ * @param {string} segment - Segment
+ * @param {Object} rule - {chars, replacement}
+ * @returns {string} Segment with the characters replaced
+ */
+const applyRule = (segment, rule) => [...rule.chars]
+	.reduce((acc, ch) => acc.split(ch).join(rule.replacement), segment)
+
+/**
+ * Transliterate to ASCII (strip accents, replace the rest)
+ * @param {string} segment - Segment
+ * @returns {string} ASCII segment
+ */
+const toAsciiSegment = (segment) => segment
+	.normalize('NFD')
+	.replace(/[\u0300-\u036f]/g, '')
+	.replace(/[^\x20-\x7e]/g, SANITIZE.NON_ASCII_REPLACEMENT)
+
+/**
+ * Escape the server hierarchy delimiter inside one folder name
+ * ("/" needs no escaping here: it never reaches a name)
+ * @param {string} delimiter - Server hierarchy delimiter
+ * @returns {Function} Function segment -> escaped segment
+ */
+export const escapeSegment = (delimiter = PATH_SEPARATOR) => (segment) =>
+	delimiter && delimiter !== PATH_SEPARATOR
+		? segment.split(delimiter).join(SANITIZE.DELIMITER_REPLACEMENT)
+		: segment
+
+/**
+ * Escape the server hierarchy delimiter in every segment of a path
+ * @param {string} delimiter - Server hierarchy delimiter
+ * @returns {Function} Function path -> escaped path
+ */
+export const escapePath = (delimiter = PATH_SEPARATOR) => (path) => String(path || '')
+	.split(PATH_SEPARATOR)
+	.map(escapeSegment(delimiter))
+	.join(PATH_SEPARATOR)
+
+/**
+ * Create a segment sanitiser
+ * @param {Object} options - {replacements, asciiOnly, delimiter}
+ * @returns {Function} Function segment -> safe segment
+ */
+export const createSanitizer = ({
+	replacements = DEFAULT_CONFIG.segmentReplacements,
+	asciiOnly = DEFAULT_CONFIG.asciiFolderNames,
+	delimiter = PATH_SEPARATOR
+} = {}) => (segment) => {
+	let clean = String(segment ?? '').normalize('NFC')
+	clean = replacements.reduce(applyRule, clean)
+	if (asciiOnly) clean = toAsciiSegment(clean)
+	clean = escapeSegment(delimiter)(clean)
+
+	// The separator can never survive, whatever the configured rules say
+	clean = clean
+		.split(PATH_SEPARATOR).join(SANITIZE.FALLBACK_SEGMENT)
+		.replace(/[\x00-\x1f\x7f]/g, '')
+		.replace(/\s+/g, ' ')
+		.trim()
+		.replace(/^\.+|\.+$/g, '')
+
+	return clean || SANITIZE.FALLBACK_SEGMENT
+}
+
+/**
+ * Sanitise every segment of a path
+ * @param {Function} sanitize - Segment sanitiser
+ * @returns {Function} Function path -> sanitised path
+ */
+export const sanitizePath = (sanitize) => (path) => String(path || '')
+	.split(PATH_SEPARATOR)
+	.filter(Boolean)
+	.map(sanitize)
+	.join(PATH_SEPARATOR)
+
+// ============================================================================
+// Collisions
+// ============================================================================
+
+/**
+ * Key under which folder names collide (case and Unicode normalisation folded)
+ * @param {string} path - Folder path
+ * @returns {string} Collision key
+ */
+export const collisionKey = (path) => String(path || '').normalize('NFC').toLowerCase()
+
+/**
+ * Get a path and all its ancestors (a, a/b, a/b/c)
+ * @param {string} path - Folder path
+ * @returns {Array<string>} Prefixes, shortest first
+ */
+const prefixesOf = (path) => {
+	const parts = path.split(PATH_SEPARATOR).filter(Boolean)
+	return parts.map((_, i) => parts.slice(0, i + 1).join(PATH_SEPARATOR))
+}
+
+/**
+ * Classify how two spellings of the same key differ
+ * @param {Array<string>} variants - Distinct spellings
+ * @returns {string} COLLISION_KINDS value
+ */
+const collisionKind = (variants) => {
+	const normalized = unique(variants.map(v => v.normalize('NFC')))
+	return normalized.length < variants.length ? COLLISION_KINDS.NORMALIZATION : COLLISION_KINDS.CASE
+}
+
+/**
+ * Find folder names that differ only in case or Unicode normalisation.
+ * Only the topmost colliding level of a subtree is reported.
+ * @param {Array<string>} planned - Planned paths
+ * @param {Array<string>} existing - Existing folder paths
+ * @returns {Array<Object>} Collisions [{kind, variants, existing}]
+ */
+export const findCollisions = (planned, existing = []) => {
+	const existingSet = new Set(existing.flatMap(prefixesOf))
+	const all = unique([...existing, ...planned].flatMap(prefixesOf))
+	const groups = groupBy(collisionKey, all)
+
+	const colliding = [...groups.entries()].filter(([, variants]) => variants.length > 1)
+	const keys = new Set(colliding.map(([key]) => key))
+
+	return colliding
+		.filter(([key]) => !prefixesOf(key).slice(0, -1).some(prefix => keys.has(prefix)))
+		.map(([, variants]) => ({
+			kind: collisionKind(variants),
+			variants,
+			existing: variants.filter(v => existingSet.has(v))
+		}))
+}
+
+/**
+ * Rewrite planned paths to the spelling already in use (existing folders
+ * first, then the first planned spelling), level by level
+ * @param {Array<string>} planned - Planned paths
+ * @param {Array<string>} existing - Existing folder paths
+ * @returns {Function} Function path -> resolved path
+ */
+export const collisionResolver = (planned, existing = []) => {
+	const spelling = new Map()
+	const remember = (path) => prefixesOf(path).forEach(prefix => {
+		if (!spelling.has(collisionKey(prefix))) spelling.set(collisionKey(prefix), prefix)
+	})
+
+	existing.forEach(remember)
+
+	const resolve = (path) => prefixesOf(path).reduce((resolved, prefix) => {
+		const segment = prefix.split(PATH_SEPARATOR).pop()
+		const candidate = resolved ? `${resolved}${PATH_SEPARATOR}${segment}` : segment
+		return spelling.get(collisionKey(candidate)) || candidate
+	}, '')
+
+	planned.forEach(path => remember(resolve(path)))
+	return resolve
+}
@@ -0,0 +1,237 @@
+/**
+ * Modules/PublicSuffix.js
+ * Public Suffix List lookups (co.uk, com.au, github.io, ...) on the bundled
+ * offline list, used to find the registrable part of sender domains.
+ * Lookups run on ASCII (punycode) labels; parsed labels are handed out in
+ * Unicode so folder names read "münchen" rather than "xn--mnchen-3ya".
+ */
+
+import { PUBLIC_SUFFIXES } from '../data/publicSuffixes.js'
+
+const WILDCARD = '*.'
+const EXCEPTION = '!'
+const ACE_PREFIX = 'xn--'
+
+// RFC 3492 parameters
+const PUNYCODE = { base: 36, tMin: 1, tMax: 26, skew: 38, damp: 700, initialBias: 72, initialN: 128 }
+
+// Built on first lookup
+let index = null
+
+// ============================================================================
+// Index
+// ============================================================================
+
+/**
+ * Convert a domain to lowercase ASCII (punycode) form
+ * @param {string} domain - Domain, possibly with unicode labels
+ * @returns {string} ASCII domain (input lowercased if conversion fails)
+ */
+const toAscii = (domain) => {
+	const lower = String(domain || '').toLowerCase().replace(/\.+$/, '')
+	if (/^[\x00-\x7f]*$/.test(lower)) return lower
+	try {
+		return new URL(`http://${lower}`).hostname
+	} catch (e) {
+		return lower
+	}
+}
+
+/**
+ * Adapt the bias after each decoded code point (RFC 3492, 6.1)
+ * @param {number} delta - Delta
+ * @param {number} numPoints - Code points decoded so far
+ * @param {boolean} firstTime - Whether this is the first delta
+ * @returns {number} New bias
+ */
+const adaptBias = (delta, numPoints, firstTime) => {
+	const { base, tMin, tMax, skew, damp } = PUNYCODE
+	let d = firstTime ? Math.floor(delta / damp) : Math.floor(delta / 2)
+	d += Math.floor(d / numPoints)
+	let k = 0
+	while (d > Math.floor(((base - tMin) * tMax) / 2)) {
+		d = Math.floor(d / (base - tMin))
+		k += base
+	}
+	return k + Math.floor(((base - tMin + 1) * d) / (d + skew))
+}
+
+/**
+ * Value of a punycode digit
+ * @param {string} char - Character
+ * @returns {number} 0-35, or base for an invalid digit
+ */
+const digitValue = (char) => {
+	const code = char.charCodeAt(0)
+	if (code >= 48 && code <= 57) return code - 22
+	if (code >= 97 && code <= 122) return code - 97
+	return PUNYCODE.base
+}
+
+/**
+ * Decode a punycode string (the part after "xn--", RFC 3492, 6.2)
+ * @param {string} input - Lowercase punycode
+ * @returns {string} Unicode string
+ * @throws {RangeError} If the input is not valid punycode
+ */
+const decodePunycode = (input) => {
+	const { base, tMin, tMax, initialBias, initialN } = PUNYCODE
+	const delimiter = input.lastIndexOf('-')
+	const output = delimiter > 0 ? [...input.slice(0, delimiter)].map(c => c.codePointAt(0)) : []
+	let n = initialN
+	let bias = initialBias
+	let i = 0
+
+	for (let pos = delimiter > 0 ? delimiter + 1 : 0; pos < input.length;) {
+		const previous = i
+		for (let w = 1, k = base; ; k += base) {
+			const digit = pos < input.length ? digitValue(input[pos++]) : base
+			if (digit >= base) throw new RangeError(`Invalid punycode: ${input}`)
+			i += digit * w
+			const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias
+			if (digit < t) break
+			w *= base - t
+		}
+		bias = adaptBias(i - previous, output.length + 1, previous === 0)
+		n += Math.floor(i / (output.length + 1))
+		i %= output.length + 1
+		output.splice(i++, 0, n)
+	}
+
+	return String.fromCodePoint(...output)
+}
+
+/**
+ * Convert an ASCII label back to Unicode ("xn--mnchen-3ya" -> "münchen")
+ * @param {string} label - ASCII label
+ * @returns {string} Unicode label (input if it is not valid punycode)
+ */
+const toUnicodeLabel = (label) => {
+	if (!label.startsWith(ACE_PREFIX)) return label
+	try {
+		return decodePunycode(label.slice(ACE_PREFIX.length))
+	} catch (e) {
+		return label
+	}
+}
+
+/**
+ * Convert an ASCII domain back to Unicode, label by label
+ * @param {string} domain - ASCII domain
+ * @returns {string} Unicode domain
+ */
+const toUnicode = (domain) => domain.split('.').map(toUnicodeLabel).join('.')
+
+/**
+ * Build lookup sets from the bundled list
+ * @returns {Object} {rules, wildcards, exceptions} sets of ASCII suffixes
+ */
+const buildIndex = () => {
+	const rules = new Set()
+	const wildcards = new Set()
+	const exceptions = new Set()
+
+	PUBLIC_SUFFIXES.forEach(entry => {
+		if (entry.startsWith(EXCEPTION)) exceptions.add(toAscii(entry.slice(EXCEPTION.length)))
+		else if (entry.startsWith(WILDCARD)) wildcards.add(toAscii(entry.slice(WILDCARD.length)))
+		else rules.add(toAscii(entry))
+	})
+
+	return { rules, wildcards, exceptions }
+}
+
+/**
+ * Get the lookup index, building it once
+ * @returns {Object} Index from buildIndex
+ */
+const getIndex = () => {
+	if (!index) index = buildIndex()
+	return index
+}
+
+// ============================================================================
+// Lookups
+// ============================================================================
+
+/**
+ * Get the public suffix of a domain (longest matching list entry,
+ * falling back to the last label like the list's implicit "*" rule)
+ * @param {string} domain - Domain (mail.foo.co.uk)
+ * @returns {string|null} Public suffix (co.uk) or null for an empty domain
+ */
+export const getPublicSuffix = (domain) => {
+	const labels = toAscii(domain).split('.').filter(Boolean)
+	if (labels.length === 0) return null
+
+	const { rules, wildcards, exceptions } = getIndex()
+
+	// Longest candidate first; an exception overrides the wildcard one level up
+	for (let i = 0; i < labels.length; i++) {
+		const candidate = labels.slice(i).join('.')
+		const parent = labels.slice(i + 1).join('.')
+
+		if (exceptions.has(candidate)) return parent
+		if (rules.has(candidate) || (parent && wildcards.has(parent))) return candidate
+	}
+
+	return labels[labels.length - 1]
+}
+
+/**
+ * Split a domain at its public suffix
+ * @param {string} domain - Domain (a.mail.foo.co.uk)
+ * @returns {Object|null} {suffix, label, subdomains, registrable} in Unicode, or
+ *   null if the domain has no label in front of its public suffix
+ */
+export const parseDomain = (domain) => {
+	const ascii = toAscii(domain)
+	const suffix = getPublicSuffix(ascii)
+	if (!suffix || ascii === suffix || !ascii.endsWith(`.${suffix}`)) return null
+
+	const labels = ascii.slice(0, -(suffix.length + 1)).split('.').filter(Boolean)
+	if (labels.length === 0) return null
+
+	const label = toUnicodeLabel(labels[labels.length - 1])
+	const unicodeSuffix = toUnicode(suffix)
+	return {
+		suffix: unicodeSuffix,
+		label,
+		subdomains: labels.slice(0, -1).map(toUnicodeLabel),
+		registrable: `${label}.${unicodeSuffix}`
+	}
+}
+
+/**
+ * Keep only the subdomain levels closest to the registrable domain
+ * @param {Object} parsed - Result of parseDomain
+ * @param {number} levels - Subdomain levels to keep (0 drops all)
+ * @returns {Object} Parsed domain with trimmed subdomains and the resulting domain
+ */
+export const limitSubdomains = (parsed, levels) => {
+	const subdomains = levels > 0 ? parsed.subdomains.slice(-levels) : []
+	return { ...parsed, subdomains, domain: [...subdomains, parsed.registrable].join('.') }
+}
+
+/**
+ * Get the registrable domain (public suffix plus one label)
+ * @param {string} domain - Domain (mail.foo.co.uk)
+ * @returns {string|null} Registrable domain (foo.co.uk) or null
+ */
+export const getRegistrableDomain = (domain) => {
+	const parsed = parseDomain(domain)
+	return parsed ? parsed.registrable : null
+}
+
+/**
+ * Check if a domain has a registrable part under a suffix the list names,
+ * not just under the implicit "*" rule. Used for domains rebuilt from folder
+ * names, where "Archive/2020" must not read as the domain "2020.archive".
+ * @param {string} domain - Domain
+ * @returns {boolean} True if registrable under a listed top-level label
+ */
+export const hasListedRegistrable = (domain) => {
+	const labels = toAscii(domain).split('.').filter(Boolean)
+	const { rules, wildcards } = getIndex()
+	const tld = labels[labels.length - 1]
+	return Boolean(getRegistrableDomain(domain)) && (rules.has(tld) || wildcards.has(tld))
+}
@@ -0,0 +1,192 @@
+/**
+ * Modules/RootMemory.js
+ * Per-account memory of the root folder each sender is filed under
+ * (email -> root, domain -> root). Entries are learned from rules and existing
+ * folders or set by hand; hand-made entries are never overwritten by learning.
+ */
+
+import { MEMORY_KINDS, MEMORY_ORIGINS, ROOT_SOURCES } from '../config/constants.js'
+import { rootFromPath, findUnmappedFolders, emailToPath, pathToEmail } from './RuleEngine.js'
+import { getRegistrableDomain } from './PublicSuffix.js'
+import { groupBy, partition, unique } from '../utils/data.js'
+
+// ============================================================================
+// Model
+// ============================================================================
+
+/**
+ * Create an empty memory
+ * @returns {Object} Memory {emails, domains} of key -> {root, origin}
+ */
+export const createMemory = () => ({
+	[MEMORY_KINDS.EMAIL]: {},
+	[MEMORY_KINDS.DOMAIN]: {}
+})
+
+/**
+ * Normalize a memory key (lowercase, no leading "@" on domains)
+ * @param {string} kind - MEMORY_KINDS value
+ * @param {string} key - Email or domain
+ * @returns {string} Normalized key
+ */
+const normalizeKey = (kind, key) => {
+	const lower = String(key || '').trim().toLowerCase()
+	return kind === MEMORY_KINDS.DOMAIN ? lower.replace(/^@/, '') : lower
+}
+
+/**
+ * Normalize a root path (no leading/trailing slashes)
+ * @param {string} root - Root path
+ * @returns {string} Normalized root
+ */
+const normalizeRoot = (root) => String(root || '').trim().replace(/^\/+|\/+$/g, '')
+
+/**
+ * Set a hand-made entry
+ * @param {Object} memory - Memory
+ * @param {string} kind - MEMORY_KINDS value
+ * @param {string} key - Email or domain
+ * @param {string} root - Root path
+ * @returns {Object} New memory
+ */
+export const setEntry = (memory, kind, key, root) => ({
+	...memory,
+	[kind]: {
+		...memory[kind],
+		[normalizeKey(kind, key)]: { root: normalizeRoot(root), origin: MEMORY_ORIGINS.MANUAL }
+	}
+})
+
+/**
+ * Remove an entry
+ * @param {Object} memory - Memory
+ * @param {string} kind - MEMORY_KINDS value
+ * @param {string} key - Email or domain
+ * @returns {Object} New memory
+ */
+export const removeEntry = (memory, kind, key) => {
+	const { [normalizeKey(kind, key)]: _, ...rest } = memory[kind]
+	return { ...memory, [kind]: rest }
+}
+
+/**
+ * List entries for display
+ * @param {Object} memory - Memory
+ * @returns {Array<Object>} Entries [{kind, key, root, origin}] sorted by kind and key
+ */
+export const listEntries = (memory) => Object.values(MEMORY_KINDS).flatMap(kind =>
+	Object.entries(memory[kind] || {})
+		.map(([key, entry]) => ({ kind, key, ...entry }))
+		.sort((a, b) => a.key.localeCompare(b.key))
+)
+
+// ============================================================================
+// Learning
+// ============================================================================
+
+/**
+ * Most common value of a list
+ * @param {Array<string>} values - Values
+ * @returns {string} Most frequent value (first seen wins ties)
+ */
+const mostCommon = (values) => {
+	const counts = groupBy(v => v, values)
+	return [...counts.entries()].reduce((best, entry) =>
+		entry[1].length > best[1].length ? entry : best
+	)[0]
+}
+
+/**
+ * Learn email roots from rules whose target ends in the sender's path
+ * @param {Array<Object>} parsedRules - Parsed rules
+ * @param {Function} toPath - Email -> path suffix mapping in use
+ * @returns {Array<Object>} Associations [{email, root}]
+ */
+const learnFromRules = (parsedRules, toPath) => parsedRules
+	.filter(rule => rule.path)
+	.flatMap(rule => rule.emails.map(email => ({ email, root: rootFromPath(rule.path, email, toPath) })))
+	.filter(item => item.root !== null)
+
+/**
+ * Learn roots from sender folders below known roots
+ * @param {Array} folders - Account folders
+ * @param {Array<string>} roots - Candidate roots
+ * @param {Function} toAddress - Path suffix -> address mapping in use
+ * @returns {Array<Object>} Associations [{email, root}] (email may be "@domain")
+ */
+const learnFromFolders = (folders, roots, toAddress) => roots.flatMap(root =>
+	findUnmappedFolders(folders, root, [], toAddress).map(item => ({ email: item.email, root }))
+)
+
+/**
+ * Learn associations from rules and existing folders
+ * @param {Object} sources - Learning sources
+ * @param {Array<Object>} sources.rules - Parsed rules
+ * @param {Array} sources.folders - Account folders
+ * @param {Array<string>} [sources.roots] - Extra candidate roots for folder learning
+ * @param {Function} [sources.toPath] - Email -> path suffix mapping
+ * @param {Function} [sources.toAddress] - Path suffix -> address mapping
+ * @returns {Object} Memory with learned entries only
+ */
+export const learnRoots = ({ rules, folders, roots = [], toPath = emailToPath, toAddress = pathToEmail }) => {
+	const fromRules = learnFromRules(rules, toPath)
+	const candidates = unique([...fromRules.map(a => a.root), ...roots.map(normalizeRoot)])
+	const found = [...learnFromFolders(folders, candidates, toAddress), ...fromRules]
+
+	const learned = (root) => ({ root, origin: MEMORY_ORIGINS.LEARNED })
+	const [domainItems, emailItems] = partition(a => a.email.startsWith('@'), found)
+
+	// Rules come last, so they win over folders for the same email
+	const emails = Object.fromEntries(emailItems.map(a => [a.email, learned(a.root)]))
+
+	// A domain goes where most of its senders go; explicit domain folders win
+	const byDomain = groupBy(a => getRegistrableDomain(a.email.split('@')[1]), emailItems)
+	const domains = Object.fromEntries([
+		...[...byDomain.entries()]
+			.filter(([domain]) => domain)
+			.map(([domain, items]) => [domain, learned(mostCommon(items.map(a => a.root)))]),
+		...domainItems.map(a => [normalizeKey(MEMORY_KINDS.DOMAIN, a.email), learned(a.root)])
+	])
+
+	return { [MEMORY_KINDS.EMAIL]: emails, [MEMORY_KINDS.DOMAIN]: domains }
+}
+
+/**
+ * Merge learned entries into a memory: learned entries are replaced by the new
+ * ones (so roots of removed rules and folders are dropped), hand-made entries are kept
+ * @param {Object} memory - Stored memory
+ * @param {Object} learned - Result of learnRoots
+ * @returns {Object} New memory
+ */
+export const mergeLearned = (memory, learned) => Object.fromEntries(
+	Object.values(MEMORY_KINDS).map(kind => {
+		const manual = Object.entries(memory[kind] || {})
+			.filter(([, entry]) => entry.origin === MEMORY_ORIGINS.MANUAL)
+		return [kind, { ...learned[kind], ...Object.fromEntries(manual) }]
+	})
+)
+
+// ============================================================================
+// Lookup
+// ============================================================================
+
+/**
+ * Find the root for a sender: remembered email, then domain
+ * (exact, then registrable), then the fallback
+ * @param {Object} memory - Memory
+ * @param {string} email - Sender email
+ * @param {string} fallback - Default root
+ * @returns {Object} {root, source} with a ROOT_SOURCES value
+ */
+export const lookupRoot = (memory, email, fallback = '') => {
+	const address = normalizeKey(MEMORY_KINDS.EMAIL, email)
+	const byEmail = memory[MEMORY_KINDS.EMAIL][address]
+	if (byEmail) return { root: byEmail.root, source: ROOT_SOURCES.EMAIL }
+
+	const domain = address.split('@')[1] || ''
+	const domains = memory[MEMORY_KINDS.DOMAIN]
+	const byDomain = domains[domain] || domains[getRegistrableDomain(domain)]
+	if (byDomain) return { root: byDomain.root, source: ROOT_SOURCES.DOMAIN }
+
+	return { root: fallback, source: ROOT_SOURCES.DEFAULT }
+}
@@ -0,0 +1,239 @@
+/**
+ * Modules/RuleConsolidator.js
+ * Consolidation of rules that share target, triggers and actions into OR
+ * rules (at most a configured number of terms each), and the reverse split of
+ * OR rules into one rule per condition term. Only rules with nothing active in
+ * between are merged, so no sender's mail reaches a merged rule earlier than before.
+ */
+
+import { CONDITION_MATCH, DEFAULT_CONFIG } from '../config/constants.js'
+import { parseFile, serializeFile, createRule } from './RuleFile.js'
+import { createCondition, serializeCondition, isAddressTerm } from './ConditionParser.js'
+import { getMoveTarget, uriToPath } from './RuleEngine.js'
+import { chunk, groupBy } from '../utils/data.js'
+
+// ============================================================================
+// Rule Shape
+// ============================================================================
+
+/**
+ * Check if every term of a rule is ORed (a single term counts as well)
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {boolean} True if the condition is a plain list of alternatives
+ */
+const isOrCondition = (rule) => {
+	const { condition } = rule
+	if (!condition || condition.error || condition.terms.length === 0) return false
+	return condition.terms.length === 1 || condition.terms.every(t => t.bool === CONDITION_MATCH.OR)
+}
+
+/**
+ * Check if a rule can be merged with others
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {boolean} True if mergeable
+ */
+const isMergeable = (rule) => isOrCondition(rule) && rule.invalid.length === 0 && rule.actions.length > 0
+
+/**
+ * Check if a rule can be split into single-term rules
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {boolean} True if the rule ORs several terms
+ */
+export const isSplittable = (rule) => isOrCondition(rule) && rule.condition.terms.length > 1
+
+/**
+ * Everything except the condition that must match for rules to be merged
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {string} Merge key
+ */
+const mergeKey = (rule) => JSON.stringify([
+	rule.enabled,
+	rule.type,
+	rule.actions.map(a => [a.type, a.value, a.customId]),
+	rule.customId,
+	rule.extra
+])
+
+/**
+ * Identity of a term (values compared case-insensitively)
+ * @param {Object} term - Condition term
+ * @returns {string} Term key
+ */
+const termKey = (term) => JSON.stringify([
+	term.field,
+	term.customHeader,
+	term.operator,
+	String(term.value).toLowerCase()
+])
+
+/**
+ * Drop repeated terms, keeping the first occurrence
+ * @param {Array<Object>} terms - Condition terms
+ * @returns {Array<Object>} Distinct terms
+ */
+const distinctTerms = (terms) => [...groupBy(termKey, terms).values()].map(group => group[0])
+
+/**
+ * Copy a rule with a new name and condition (everything else kept)
+ * @param {Object} rule - Template rule
+ * @param {string} name - Rule name
+ * @param {Object} condition - Condition
+ * @returns {Object} New rule object
+ */
+const deriveRule = (rule, name, condition) => createRule({
+	name,
+	enabled: rule.enabled,
+	description: rule.description,
+	type: rule.type,
+	actions: rule.actions,
+	customId: rule.customId,
+	extra: rule.extra,
+	condition
+})
+
+/**
+ * Summarize a rule for previews
+ * @param {Object} rule - Rule object
+ * @returns {Object} {name, condition}
+ */
+const previewOf = (rule) => ({
+	name: rule.name,
+	condition: rule.condition ? serializeCondition(rule.condition) : ''
+})
+
+// ============================================================================
+// Consolidation
+// ============================================================================
+
+/**
+ * Name of a consolidated rule (after its target folder)
+ * @param {Object} rule - First rule of the group
+ * @param {number} part - Part index
+ * @param {number} parts - Number of parts
+ * @returns {string} Rule name
+ */
+const consolidatedName = (rule, part, parts) => {
+	const uri = getMoveTarget(rule)
+	const label = (uri && uriToPath(uri)) || rule.name
+	return parts > 1 ? `To ${label} (${part + 1}/${parts})` : `To ${label}`
+}
+
+/**
+ * Merge a group of compatible rules
+ * @param {Array<Object>} rules - Rules sharing a merge key
+ * @param {number} maxConditions - Maximum terms per rule
+ * @returns {Array<Object>|null} Merged rules or null if merging gains nothing
+ */
+const mergeGroup = (rules, maxConditions) => {
+	const terms = distinctTerms(rules.flatMap(r => r.condition.terms))
+	const parts = chunk(Math.max(1, maxConditions), terms)
+	if (parts.length >= rules.length) return null
+
+	return parts.map((part, i) => deriveRule(
+		rules[0],
+		consolidatedName(rules[0], i, parts.length),
+		createCondition(CONDITION_MATCH.OR, part)
+	))
+}
+
+/**
+ * Replace groups of rules, placing replacements where the group's first rule was
+ * @param {Object} file - File model
+ * @param {Array<Object>} changes - [{indices, rules}]
+ * @returns {Object} Result {content, preview, before, after}
+ */
+const applyChanges = (file, changes) => {
+	const byFirst = new Map(changes.map(c => [c.indices[0], c]))
+	const dropped = new Set(changes.flatMap(c => c.indices))
+
+	const rules = file.rules.flatMap((rule, index) => {
+		if (byFirst.has(index)) return byFirst.get(index).rules
+		return dropped.has(index) ? [] : [rule]
+	})
+
+	return {
+		content: serializeFile({ ...file, rules }),
+		preview: changes.map(c => ({
+			from: c.indices.map(i => previewOf(file.rules[i])),
+			to: c.rules.map(previewOf)
+		})),
+		before: file.rules.length,
+		after: rules.length
+	}
+}
+
+/**
+ * Split a group into runs of members that can be merged in place of the first:
+ * every rule between two members must be disabled or run on other triggers,
+ * otherwise it would stop seeing the mail of the later member first
+ * @param {Array<Object>} rules - All rule objects, in file order
+ * @param {Array<number>} indices - Group member indices, ascending
+ * @returns {Array<Array<number>>} Runs of indices
+ */
+const adjacentRuns = (rules, indices) => {
+	const passable = (rule, type) => !rule.enabled ||
+		(Number.isInteger(rule.type) && Number.isInteger(type) && (rule.type & type) === 0)
+
+	return indices.reduce((runs, index) => {
+		const run = runs[runs.length - 1]
+		const between = run ? rules.slice(run[run.length - 1] + 1, index) : []
+		if (run && between.every(rule => passable(rule, rules[index].type))) run.push(index)
+		else runs.push([index])
+		return runs
+	}, [])
+}
+
+/**
+ * Merge rules with the same target, triggers and actions into OR rules
+ * @param {string} content - Rules file content
+ * @param {number} maxConditions - Maximum terms per merged rule
+ * @returns {Object} {content, preview: [{from, to}], before, after}
+ */
+export const consolidateRules = (content, maxConditions = DEFAULT_CONFIG.maxConditions) => {
+	const file = parseFile(content)
+	const groups = groupBy(
+		index => mergeKey(file.rules[index]),
+		file.rules.map((_, index) => index).filter(index => isMergeable(file.rules[index]))
+	)
+
+	const changes = [...groups.values()]
+		.flatMap(indices => adjacentRuns(file.rules, indices))
+		.filter(indices => indices.length > 1)
+		.map(indices => ({ indices, rules: mergeGroup(indices.map(i => file.rules[i]), maxConditions) }))
+		.filter(change => change.rules)
+
+	return applyChanges(file, changes)
+}
+
+// ============================================================================
+// Splitting
+// ============================================================================
+
+/**
+ * Split an OR rule into one rule per term
+ * @param {Object} rule - Rule object
+ * @returns {Array<Object>} Single-term rules ("From <address>" for address terms)
+ */
+const splitRule = (rule) => rule.condition.terms.map((term, i, terms) => deriveRule(
+	rule,
+	isAddressTerm(term) ? `From ${term.value}` : `${rule.name} (${i + 1}/${terms.length})`,
+	createCondition(CONDITION_MATCH.AND, [term])
+))
+
+/**
+ * Split multi-term OR rules into single-term rules
+ * @param {string} content - Rules file content
+ * @param {Array<number>} [indices] - Rules to split (default: every splittable rule)
+ * @returns {Object} {content, preview: [{from, to}], before, after}
+ */
+export const splitRules = (content, indices = null) => {
+	const file = parseFile(content)
+	const wanted = indices ? new Set(indices) : null
+
+	const changes = file.rules
+		.map((rule, index) => ({ rule, index }))
+		.filter(({ rule, index }) => (!wanted || wanted.has(index)) && isSplittable(rule))
+		.map(({ rule, index }) => ({ indices: [index], rules: splitRule(rule) }))
+
+	return applyChanges(file, changes)
+}
@@ -7,25 +7,39 @@
 import {
 	FILTER_TYPES,
 	DEFAULT_FILTER_TYPE,
+	DEFAULT_SUBDOMAIN_LEVELS,
 	PLACEHOLDER_URI,
 	PATH_SEPARATOR,
-	REGEX_PATTERNS
+	REGEX_PATTERNS,
+	ACTION_TYPES,
+	FOLDER_ACTIONS,
+	VALUED_ACTIONS,
+	ADDRESS_FIELDS,
+	ADDRESS_MATCH_OPERATORS,
+	DEFAULT_RULE_TEMPLATE
 } from '../config/constants.js'
 
 import { unique, sortBy } from '../utils/data.js'
+import { parseFile, serializeFile, serializeRule } from './RuleFile.js'
+import { getAddressTerms } from './ConditionParser.js'
+import { parseDomain, limitSubdomains, hasListedRegistrable } from './PublicSuffix.js'
+import { escapeSegment } from './PathSanitizer.js'
+import { buildTemplateRule } from './RuleTemplates.js'
+
+const MOVE_ACTION = ACTION_TYPES.MOVE_TO_FOLDER
 
 // ============================================================================
 // URI & Path Operations
 // ============================================================================
 
 /**
- * Extract action URI from a rule block
+ * Extract "Move to folder" action URI from a rule block
  * @param {string} block - Rule block content
  * @returns {string|null} Extracted URI or null
  */
 export const extractUriFromBlock = (block) => {
-	const match = block.match(REGEX_PATTERNS.ACTION_URI)
-	return match ? match[1] : null
+	const [rule] = parseFile(block).rules
+	return rule ? getMoveTarget(rule) : null
 }
 
 /**
@@ -59,25 +73,77 @@ export const extractPathFromBlock = (block) => {
 }
 
 /**
- * Convert email to reverse-domain path (bob@foo.co.uk -> uk/co/foo/bob)
+ * Convert domain to reverse-domain path, keeping the public suffix whole
+ * (a.mail.foo.co.uk -> co.uk/foo/mail with one subdomain level)
+ * @param {string} domain - Domain
+ * @param {number} subdomainLevels - Subdomain levels to keep
+ * @returns {string|null} Path or null if domain has no registrable part
+ */
+export const domainToPath = (domain, subdomainLevels = DEFAULT_SUBDOMAIN_LEVELS) => {
+	const parsed = parseDomain(domain)
+	if (!parsed) return null
+
+	const { suffix, label, subdomains } = limitSubdomains(parsed, subdomainLevels)
+	return [suffix, label, ...[...subdomains].reverse()].join(PATH_SEPARATOR)
+}
+
+/**
+ * Convert email to reverse-domain path (bob@foo.co.uk -> co.uk/foo/bob)
  * @param {string} email - Email address
+ * @param {number} subdomainLevels - Subdomain levels to keep
  * @returns {string|null} Path or null if invalid email
  */
-export const emailToPath = (email) => {
+export const emailToPath = (email, subdomainLevels = DEFAULT_SUBDOMAIN_LEVELS) => {
 	const parts = email.toLowerCase().trim().split('@')
-	if (parts.length !== 2) return null
+	if (parts.length !== 2 || !parts[0]) return null
 	
+	const [user, domain] = parts
+	const domainPath = domainToPath(domain, subdomainLevels)
+	return domainPath ? [domainPath, user].join(PATH_SEPARATOR) : null
+}
+
+/**
+ * Convert email to a path with one segment per domain label
+ * (bob@foo.co.uk -> uk/co/foo/bob), the layout used before suffix awareness
+ * @param {string} email - Email address
+ * @returns {string|null} Path or null if invalid email
+ */
+const emailToLabelPath = (email) => {
+	const parts = email.toLowerCase().trim().split('@')
+	if (parts.length !== 2) return null
+
 	const [user, domain] = parts
 	return [...domain.split('.').reverse(), user].join(PATH_SEPARATOR)
 }
 
+/**
+ * Convert reverse-domain path back to email (uk/co/foo/bob -> bob@foo.co.uk)
+ * @param {string} path - Path relative to the root
+ * @returns {string|null} Email or null if path is not tld/domain/user shaped
+ *   with a domain registrable under a listed suffix
+ */
+export const pathToEmail = (path) => {
+	const parts = path.split(PATH_SEPARATOR).filter(Boolean)
+	if (parts.length < 3) return null
+
+	const user = parts[parts.length - 1]
+	const domain = parts.slice(0, -1).reverse().join('.')
+	if (!hasListedRegistrable(domain)) return null
+	const email = `${user}@${domain}`.toLowerCase()
+
+	const match = email.match(REGEX_PATTERNS.EMAIL_ADDRESS)
+	return match && match[0] === email ? email : null
+}
+
 /**
  * Build full URI from base and path
  * @param {string} baseUri - Base URI (e.g., imap://user@host)
+ * @param {string} delimiter - Server hierarchy delimiter escaped inside names
  * @returns {Function} Function accepting path
  */
-export const buildFullUri = (baseUri) => (path) => {
+export const buildFullUri = (baseUri, delimiter = PATH_SEPARATOR) => (path) => {
 	const encodedPath = path.split(PATH_SEPARATOR)
+		.map(escapeSegment(delimiter))
 		.map(encodeURIComponent)
 		.join(PATH_SEPARATOR)
 	return `${baseUri}${PATH_SEPARATOR}${encodedPath}`
@@ -87,50 +153,113 @@ export const buildFullUri = (baseUri) => (path) => {
 // Email Extraction
 // ============================================================================
 
+/**
+ * Extract email address from a term value ("Bob <bob@foo.com>" or "bob@foo.com")
+ * @param {string} value - Term value
+ * @returns {string|null} Lowercase email or null
+ */
+export const extractEmailFromValue = (value) => {
+	const match = String(value).match(REGEX_PATTERNS.EMAIL_ADDRESS)
+	return match ? match[0].toLowerCase() : null
+}
+
+/**
+ * Extract emails routed by a structured condition (from/to/cc/... terms)
+ * @param {Object} condition - Condition object from ConditionParser
+ * @param {Array<string>} fields - Address fields to consider (default: all)
+ * @returns {string[]} Array of email addresses
+ */
+export const extractEmailsFromCondition = (condition, fields = ADDRESS_FIELDS) => {
+	return getAddressTerms(condition)
+		.filter(t => fields.includes(t.field))
+		.filter(t => ADDRESS_MATCH_OPERATORS.includes(t.operator))
+		.map(t => extractEmailFromValue(t.value))
+		.filter(Boolean)
+}
+
 /**
  * Extract emails from conditions in a rule block
  * @param {string} block - Rule block content
  * @returns {string[]} Array of email addresses
  */
 export const extractEmailsFromBlock = (block) => {
-	const emails = []
-	const condRegex = new RegExp(REGEX_PATTERNS.EMAIL_CONDITION.source, 'gi')
-	let match
-	
-	while ((match = condRegex.exec(block)) !== null) {
-		const rawEmail = match[1].replace(/^"|"$/g, '').trim().toLowerCase()
-		if (rawEmail.includes('@')) {
-			emails.push(rawEmail)
-		}
-	}
-	
-	return emails
+	const [rule] = parseFile(block).rules
+	return rule ? extractEmailsFromCondition(rule.condition) : []
 }
 
 // ============================================================================
 // Rule Parsing
 // ============================================================================
 
+/**
+ * Check if action targets a folder (Move/Copy to folder)
+ * @param {Object} action - Action object {type, value}
+ * @returns {boolean} True for folder actions
+ */
+export const isFolderAction = (action) => FOLDER_ACTIONS.includes(action.type)
+
+/**
+ * Check if action type takes an actionValue
+ * @param {string} type - Action type
+ * @returns {boolean} True if the action needs a value
+ */
+export const actionHasValue = (type) => VALUED_ACTIONS.includes(type)
+
+/**
+ * Get URI of the first "Move to folder" action of a rule object
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {string|null} Target URI or null
+ */
+export const getMoveTarget = (rule) => {
+	const action = rule.actions.find(a => a.type === MOVE_ACTION && a.value)
+	return action ? action.value : null
+}
+
+/**
+ * Get all folder targets (Move and Copy) of a rule object
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {Array<Object>} Targets {type, uri, path}
+ */
+export const getFolderTargets = (rule) => {
+	return rule.actions
+		.filter(a => isFolderAction(a) && a.value)
+		.map(a => ({ type: a.type, uri: a.value, path: uriToPath(a.value) }))
+		.filter(t => t.path)
+}
+
+/**
+ * Summarize a rule object into the structure used by analysis and discovery
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {Object} Parsed rule; path/uri are null for rules without a move action
+ */
+export const summarizeRule = (rule) => {
+	const uri = getMoveTarget(rule)
+	const targets = getFolderTargets(rule)
+
+	return {
+		name: rule.name,
+		path: uri ? uriToPath(uri) : null,
+		paths: unique(targets.map(t => t.path)),
+		emails: extractEmailsFromCondition(rule.condition),
+		condition: rule.condition,
+		actions: rule.actions,
+		uri,
+		enabled: rule.enabled === true,
+		type: rule.type,
+		line: rule.line
+	}
+}
+
 /**
  * Parse a single rule block into structured data
  * @param {string} block - Single rule block
- * @returns {Object|null} Parsed rule or null if invalid
+ * @returns {Object|null} Parsed rule or null if the block holds no rule
  */
 export const parseRuleBlock = (block) => {
 	if (!block.trim()) return null
 	
-	const uri = extractUriFromBlock(block)
-	const path = uri ? uriToPath(uri) : null
-	if (!path) return null
-	
-	const emails = extractEmailsFromBlock(block)
-	
-	return {
-		path,
-		emails,
-		uri,
-		enabled: block.includes('enabled="yes"')
-	}
+	const [rule] = parseFile(block).rules
+	return rule ? summarizeRule(rule) : null
 }
 
 /**
@@ -141,11 +270,7 @@ export const parseRuleBlock = (block) => {
 export const parse = (content) => {
 	if (!content) return []
 	
-	const blocks = content.split(REGEX_PATTERNS.RULE_NAME_MARKER)
-	
-	return blocks
-		.map(parseRuleBlock)
-		.filter(Boolean)
+	return parseFile(content).rules.map(summarizeRule)
 }
 
 // ============================================================================
@@ -182,55 +307,63 @@ export const calculateType = (options) => {
 /**
  * Generate a single filter rule block
  * @param {string} baseUri - Base IMAP URI
- * @returns {Function} Function accepting (email, path, typeValue)
+ * @param {string} delimiter - Server hierarchy delimiter
+ * @param {Object} template - Rule template (default: From contains address)
+ * @returns {Function} Function accepting (email, path, typeValue, extraActions)
  */
-export const generateBlock = (baseUri) => (email, path, typeValue = DEFAULT_FILTER_TYPE) => {
-	const fullUri = buildFullUri(baseUri)(path)
-	
-	return `name="From ${email}"
-enabled="yes"
-type="${typeValue}"
-action="Move to folder"
-actionValue="${fullUri}"
-condition="AND (from,contains,${email})"`
-}
+export const generateBlock = (baseUri, delimiter, template = DEFAULT_RULE_TEMPLATE) =>
+	(email, path, typeValue = DEFAULT_FILTER_TYPE, extraActions = []) =>
+		generateGroupBlock(baseUri, delimiter, template)({ name: email, emails: [email] }, path, typeValue, extraActions)
+
+/**
+ * Generate one filter rule for several sender addresses (OR condition)
+ * @param {string} baseUri - Base IMAP URI
+ * @param {string} delimiter - Server hierarchy delimiter
+ * @param {Object} template - Rule template (default: From contains address)
+ * @returns {Function} Function accepting ({name, emails}, path, typeValue, extraActions)
+ */
+export const generateGroupBlock = (baseUri, delimiter, template = DEFAULT_RULE_TEMPLATE) =>
+	(group, path, typeValue = DEFAULT_FILTER_TYPE, extraActions = []) => {
+		const moveAction = { type: MOVE_ACTION, value: buildFullUri(baseUri, delimiter)(path) }
+		return serializeRule(buildTemplateRule(template)(group, path, moveAction, typeValue, extraActions))
+	}
 
 // ============================================================================
 // Rule Sorting
 // ============================================================================
 
 /**
- * Sort rule blocks by path
- * @param {string} a - First rule block
- * @param {string} b - Second rule block
- * @returns {number} Sort comparison result
+ * Get lowercase sort key (target path) of a rule object
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {string} Sort key
  */
-const compareRulesByPath = (a, b) => {
-	// Extract path or default to 'zzz' to put non-movers at end
-	const pathA = (extractPathFromBlock(a) || 'zzz').toLowerCase()
-	const pathB = (extractPathFromBlock(b) || 'zzz').toLowerCase()
-	return pathA.localeCompare(pathB)
+const rulePathKey = (rule) => {
+	const uri = getMoveTarget(rule)
+	// Default to 'zzz' to put non-movers at end
+	return ((uri && uriToPath(uri)) || 'zzz').toLowerCase()
 }
 
+/**
+ * Sort rule objects by target path
+ * @param {Object} a - First rule
+ * @param {Object} b - Second rule
+ * @returns {number} Sort comparison result
+ */
+const compareRulesByPath = (a, b) => rulePathKey(a).localeCompare(rulePathKey(b))
+
 /**
  * Sort raw filter rules content alphabetically by target path
  * @param {string} content - Raw rules content
  * @returns {string} Sorted content
  */
 export const sortRawRules = (content) => {
-	const marker = 'name="'
-	const firstIdx = content.indexOf(marker)
-	if (firstIdx === -1) return content
-	
-	const header = content.substring(0, firstIdx)
-	const rulesContent = content.substring(firstIdx)
-	
-	// Split using lookahead to keep delimiter at start of each block
-	const rawRules = rulesContent.split(REGEX_PATTERNS.RULE_NAME_SPLIT)
+	const file = parseFile(content)
+	if (file.rules.length === 0) return content
 	
-	const sortedRules = sortBy(compareRulesByPath, rawRules)
-	
-	return header + sortedRules.join('')
+	return serializeFile({
+		...file,
+		rules: sortBy(compareRulesByPath, file.rules)
+	})
 }
 
 // ============================================================================
@@ -243,33 +376,56 @@ export const sortRawRules = (content) => {
  * @returns {Function} Function accepting newTypeValue
  */
 export const updateFilterTypes = (content) => (newTypeValue) => {
-	return content.replace(REGEX_PATTERNS.TYPE_ATTRIBUTE, `type="${newTypeValue}"`)
+	const file = parseFile(content)
+	
+	return serializeFile({
+		...file,
+		rules: file.rules.map(rule =>
+			rule.type === undefined ? rule : { ...rule, type: newTypeValue }
+		)
+	})
 }
 
 // ============================================================================
 // Path Inference
 // ============================================================================
 
+/**
+ * Get the root a sender folder lives under (the path minus the sender suffix)
+ * @param {string} path - Target folder path
+ * @param {string} email - Sender email
+ * @param {Function} toPath - Email -> path suffix mapping in use
+ * @returns {string|null} Root ('' for top level) or null if path does not end in the sender suffix
+ */
+export const rootFromPath = (path, email, toPath = emailToPath) => {
+	const lower = path.toLowerCase()
+
+	// Match whole segments only ("xcom/foo" must not end in "com/foo");
+	// folders made with one segment per domain label are recognised too
+	const suffix = [toPath(email), emailToLabelPath(email)].find(candidate => {
+		const tail = candidate && candidate.toLowerCase()
+		return tail && (lower === tail || lower.endsWith(PATH_SEPARATOR + tail))
+	})
+
+	return suffix
+		? path.substring(0, path.length - suffix.length).replace(/\/$/, '')
+		: null
+}
+
 /**
  * Count occurrences of each root path
  * @param {Array<Object>} parsedRules - Parsed rules
+ * @param {Function} toPath - Email -> path suffix mapping in use
  * @returns {Map<string, number>} Map of root paths to counts
  */
-const countRootPaths = (parsedRules) => {
+const countRootPaths = (parsedRules, toPath) => {
 	const counts = new Map()
 	
 	parsedRules.forEach(rule => {
+		if (!rule.path) return
 		rule.emails.forEach(email => {
-			const suffix = emailToPath(email)
-			const path = rule.path.toLowerCase()
-			
-			if (suffix && path.endsWith(suffix.toLowerCase())) {
-				const root = rule.path
-					.substring(0, rule.path.length - suffix.length)
-					.replace(/\/$/, '')
-				
-				counts.set(root, (counts.get(root) || 0) + 1)
-			}
+			const root = rootFromPath(rule.path, email, toPath)
+			if (root !== null) counts.set(root, (counts.get(root) || 0) + 1)
 		})
 	})
 	
@@ -298,24 +454,54 @@ const findMaxCount = (counts) => {
 /**
  * Infer root path from existing rule structure
  * @param {Array<Object>} parsedRules - Parsed rules
+ * @param {Function} toPath - Email -> path suffix mapping (default: reversed domain + user)
  * @returns {string|null} Inferred root path or null
  */
-export const inferRoot = (parsedRules) => {
-	const counts = countRootPaths(parsedRules)
+export const inferRoot = (parsedRules, toPath = emailToPath) => {
+	const counts = countRootPaths(parsedRules, toPath)
 	return findMaxCount(counts)
 }
 
+// ============================================================================
+// Reverse Mapping
+// ============================================================================
+
+/**
+ * Find leaf folders under root that look like senders but have no rule
+ * @param {Array<Object>} folders - Folders from MailClient.scanAccount
+ * @param {string} root - Root path the sender tree lives under
+ * @param {Array<Object>} parsedRules - Parsed rules
+ * @param {Function} toAddress - Path suffix -> address mapping (default: reversed domain + user)
+ * @returns {Array<Object>} Unmapped leaves [{email, path}]
+ */
+export const findUnmappedFolders = (folders, root, parsedRules, toAddress = pathToEmail) => {
+	const prefix = root ? root.replace(/\/+$/, '').toLowerCase() + PATH_SEPARATOR : ''
+	const paths = folders.map(f => f.cleanPath).filter(Boolean)
+	const lowerPaths = paths.map(p => p.toLowerCase())
+
+	const targeted = new Set(getUniquePaths(parsedRules).map(p => p.toLowerCase()))
+	const routed = new Set(getAllEmails(parsedRules))
+
+	const isLeaf = (lower) => !lowerPaths.some(p => p.startsWith(lower + PATH_SEPARATOR))
+
+	return paths
+		.filter((path, i) => lowerPaths[i].startsWith(prefix) && isLeaf(lowerPaths[i]))
+		.filter(path => !targeted.has(path.toLowerCase()))
+		.map(path => ({ email: toAddress(path.slice(prefix.length)), path }))
+		.filter(item => item.email && !routed.has(item.email))
+}
+
 // ============================================================================
 // Helper Compositions
 // ============================================================================
 
 /**
- * Get unique paths from rules
+ * Get unique folder paths (Move and Copy targets) from rules
  * @param {Array<Object>} rules - Parsed rules
  * @returns {Array<string>} Unique paths
  */
 export const getUniquePaths = (rules) => {
-	return unique(rules.map(r => r.path))
+	return unique(rules.flatMap(r => r.paths))
 }
 
 /**
@@ -349,14 +535,25 @@ export const RuleEngine = {
 	extractBaseUri,
 	uriToPath,
 	emailToPath,
+	domainToPath,
+	pathToEmail,
+	findUnmappedFolders,
 	inferRoot,
+	rootFromPath,
 	calculateType,
 	generateBlock,
+	generateGroupBlock,
 	updateFilterTypes,
 	// New exports
 	buildFullUri,
 	extractEmailsFromBlock,
+	extractEmailsFromCondition,
 	parseRuleBlock,
+	summarizeRule,
+	getMoveTarget,
+	getFolderTargets,
+	isFolderAction,
+	actionHasValue,
 	getUniquePaths,
 	getAllEmails,
 	getUniqueEmails
@@ -0,0 +1,442 @@
+/**
+ * Modules/RuleFile.js
+ * Lossless model of msgFilterRules.dat.
+ * Parses the file into a header and rule objects and serializes it back.
+ * Parts that were not modified are written out byte-identical to the source.
+ */
+
+import { RULE_ATTRIBUTES, RULE_FILE_DEFAULTS, ACTION_TYPES } from '../config/constants.js'
+import { parseCondition, serializeCondition } from './ConditionParser.js'
+
+// ============================================================================
+// Value Escaping
+// ============================================================================
+
+/**
+ * Escape attribute value the way Thunderbird writes it (\" and \\)
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+export const escapeValue = (value) => String(value).replace(/[\\"]/g, '\\$&')
+
+/**
+ * Unescape attribute value read from the file
+ * @param {string} value - Escaped value
+ * @returns {string} Raw value
+ */
+export const unescapeValue = (value) => value.replace(/\\(.)/gs, '$1')
+
+/**
+ * Format a single attribute line
+ * @param {string} key - Attribute name
+ * @param {string} value - Raw value
+ * @returns {string} Attribute line (key="value")
+ */
+const formatAttribute = (key, value) => `${key}="${escapeValue(value)}"`
+
+// ============================================================================
+// Tokenizer
+// ============================================================================
+
+const ATTRIBUTE_START = /([A-Za-z][\w-]*)="/y
+
+// Attributes a rule may only have once (the last one wins)
+const SINGLE_ATTRIBUTES = [
+	RULE_ATTRIBUTES.NAME,
+	RULE_ATTRIBUTES.ENABLED,
+	RULE_ATTRIBUTES.DESCRIPTION,
+	RULE_ATTRIBUTES.TYPE,
+	RULE_ATTRIBUTES.CONDITION
+]
+
+/**
+ * Kinds of suspicious input recorded on rules (for linting)
+ */
+export const ANOMALIES = {
+	MULTILINE: 'multiline',
+	REPEATED: 'repeated'
+}
+
+/**
+ * Find closing quote of a value, skipping escaped characters
+ * @param {string} text - File content
+ * @param {number} from - Index after the opening quote
+ * @returns {number} Index of closing quote or -1
+ */
+const findValueEnd = (text, from) => {
+	for (let i = from; i < text.length; i++) {
+		if (text[i] === '\\') i++
+		else if (text[i] === '"') return i
+	}
+	return -1
+}
+
+/**
+ * Count newlines in a slice of text
+ * @param {string} text - Text
+ * @param {number} start - Start index
+ * @param {number} end - End index (exclusive)
+ * @returns {number} Newline count
+ */
+const countLines = (text, start, end) => {
+	let lines = 0
+	for (let i = start; i < end; i++) {
+		if (text[i] === '\n') lines++
+	}
+	return lines
+}
+
+/**
+ * Split file content into attribute tokens.
+ * Lines that are not key="value" become invalid tokens (key === null).
+ * @param {string} text - File content
+ * @returns {Array<Object>} Tokens {key, value, line, start, end}
+ */
+const tokenize = (text) => {
+	const tokens = []
+	let pos = 0
+	let line = 1
+
+	while (pos < text.length) {
+		const ch = text[pos]
+		if (ch === '\n') {
+			line++
+			pos++
+			continue
+		}
+		if (/\s/.test(ch)) {
+			pos++
+			continue
+		}
+
+		ATTRIBUTE_START.lastIndex = pos
+		const match = ATTRIBUTE_START.exec(text)
+		const valueStart = match ? pos + match[0].length : -1
+		const valueEnd = match ? findValueEnd(text, valueStart) : -1
+
+		if (valueEnd !== -1) {
+			tokens.push({
+				key: match[1],
+				value: unescapeValue(text.slice(valueStart, valueEnd)),
+				line,
+				start: pos,
+				end: valueEnd + 1
+			})
+			line += countLines(text, pos, valueEnd)
+			pos = valueEnd + 1
+		} else {
+			// Not an attribute: swallow the rest of the line
+			const eol = text.indexOf('\n', pos)
+			const end = eol === -1 ? text.length : eol
+			tokens.push({
+				key: null,
+				value: text.slice(pos, end).replace(/\r$/, ''),
+				line,
+				start: pos,
+				end
+			})
+			pos = end
+		}
+	}
+
+	return tokens
+}
+
+// ============================================================================
+// Model Construction
+// ============================================================================
+
+/**
+ * Parse type attribute (bitmask); keeps the raw string if not numeric
+ * @param {string} value - Raw type value
+ * @returns {number|string} Bitmask or raw value
+ */
+const parseType = (value) => /^\d+$/.test(value) ? parseInt(value, 10) : value
+
+/**
+ * Semantic signature of a rule, used to detect modifications
+ * @param {Object} rule - Rule object
+ * @returns {string} Signature
+ */
+const ruleSignature = (rule) => JSON.stringify([
+	rule.name,
+	rule.enabled,
+	rule.description,
+	rule.type,
+	rule.actions,
+	rule.customId,
+	rule.condition,
+	rule.extra
+])
+
+/**
+ * Semantic signature of a header
+ * @param {Object} header - Header object
+ * @returns {string} Signature
+ */
+const headerSignature = (header) => JSON.stringify([
+	header.version,
+	header.logging,
+	header.extra
+])
+
+/**
+ * Build rule object from its tokens
+ * @param {Array<Object>} tokens - Tokens of a single rule (first is name)
+ * @param {string} raw - Original text of the rule
+ * @returns {Object} Rule object
+ */
+const buildRule = (tokens, raw) => {
+	const rule = {
+		name: undefined,
+		enabled: undefined,
+		description: undefined,
+		type: undefined,
+		actions: [],
+		customId: undefined,
+		condition: undefined,
+		extra: [],
+		invalid: [],
+		anomalies: [],
+		line: tokens[0].line
+	}
+	const seen = new Set()
+
+	tokens.forEach(({ key, value, line }) => {
+		const lastAction = rule.actions[rule.actions.length - 1]
+
+		if (key !== null && value.includes('\n')) {
+			rule.anomalies.push({ kind: ANOMALIES.MULTILINE, key, line })
+		}
+		if (SINGLE_ATTRIBUTES.includes(key)) {
+			if (seen.has(key)) rule.anomalies.push({ kind: ANOMALIES.REPEATED, key, line })
+			seen.add(key)
+		}
+
+		switch (key) {
+			case null:
+				rule.invalid.push({ line, text: value })
+				break
+			case RULE_ATTRIBUTES.NAME:
+				rule.name = value
+				break
+			case RULE_ATTRIBUTES.ENABLED:
+				rule.enabled = value === 'yes'
+				break
+			case RULE_ATTRIBUTES.DESCRIPTION:
+				rule.description = value
+				break
+			case RULE_ATTRIBUTES.TYPE:
+				rule.type = parseType(value)
+				break
+			case RULE_ATTRIBUTES.ACTION:
+				rule.actions.push({ type: value, value: undefined, line })
+				break
+			case RULE_ATTRIBUTES.ACTION_VALUE:
+				if (lastAction && lastAction.value === undefined) lastAction.value = value
+				else rule.extra.push({ key, value })
+				break
+			case RULE_ATTRIBUTES.CUSTOM_ID:
+				// customId directly after a custom action belongs to that action
+				if (lastAction && lastAction.type === ACTION_TYPES.CUSTOM && lastAction.customId === undefined) {
+					lastAction.customId = value
+				} else {
+					rule.customId = value
+				}
+				break
+			case RULE_ATTRIBUTES.CONDITION:
+				rule.condition = parseCondition(value)
+				break
+			default:
+				rule.extra.push({ key, value })
+		}
+	})
+
+	rule.source = { raw, signature: ruleSignature(rule) }
+	return rule
+}
+
+/**
+ * Build header object from tokens preceding the first rule
+ * @param {Array<Object>} tokens - Header tokens
+ * @param {string} raw - Original header text
+ * @returns {Object} Header object
+ */
+const buildHeader = (tokens, raw) => {
+	const header = {
+		version: undefined,
+		logging: undefined,
+		extra: [],
+		invalid: []
+	}
+
+	tokens.forEach(({ key, value, line }) => {
+		if (key === null) header.invalid.push({ line, text: value })
+		else if (key === RULE_ATTRIBUTES.VERSION) header.version = value
+		else if (key === RULE_ATTRIBUTES.LOGGING) header.logging = value
+		else header.extra.push({ key, value })
+	})
+
+	header.source = { raw, signature: headerSignature(header) }
+	return header
+}
+
+/**
+ * Detect line ending used by the file
+ * @param {string} text - File content
+ * @returns {string} '\r\n' or '\n'
+ */
+const detectEol = (text) => text.includes('\r\n') ? '\r\n' : RULE_FILE_DEFAULTS.EOL
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Parse msgFilterRules.dat content into a file model
+ * @param {string} content - Raw file content
+ * @returns {Object} File model {header, rules, eol}
+ */
+export const parseFile = (content) => {
+	const text = content || ''
+	const tokens = tokenize(text)
+
+	const starts = tokens
+		.map((t, i) => t.key === RULE_ATTRIBUTES.NAME ? i : -1)
+		.filter(i => i !== -1)
+
+	const headerEnd = starts.length ? tokens[starts[0]].start : text.length
+	const header = buildHeader(tokens.slice(0, starts[0] ?? tokens.length), text.slice(0, headerEnd))
+
+	const rules = starts.map((tokenIdx, n) => {
+		const nextIdx = starts[n + 1] ?? tokens.length
+		const start = tokens[tokenIdx].start
+		const end = nextIdx < tokens.length ? tokens[nextIdx].start : text.length
+		return buildRule(tokens.slice(tokenIdx, nextIdx), text.slice(start, end))
+	})
+
+	return { header, rules, eol: detectEol(text) }
+}
+
+// ============================================================================
+// Serialization
+// ============================================================================
+
+/**
+ * Serialize a rule to its canonical text (no trailing line break)
+ * @param {Object} rule - Rule object
+ * @param {string} eol - Line ending
+ * @returns {string} Rule text
+ */
+export const serializeRule = (rule, eol = RULE_FILE_DEFAULTS.EOL) => {
+	const lines = []
+	const add = (key, value) => {
+		if (value !== undefined && value !== null) lines.push(formatAttribute(key, value))
+	}
+
+	add(RULE_ATTRIBUTES.NAME, rule.name)
+	if (rule.enabled !== undefined) add(RULE_ATTRIBUTES.ENABLED, rule.enabled ? 'yes' : 'no')
+	add(RULE_ATTRIBUTES.DESCRIPTION, rule.description)
+	add(RULE_ATTRIBUTES.TYPE, rule.type)
+
+	;(rule.actions || []).forEach(action => {
+		add(RULE_ATTRIBUTES.ACTION, action.type)
+		add(RULE_ATTRIBUTES.ACTION_VALUE, action.value)
+		add(RULE_ATTRIBUTES.CUSTOM_ID, action.customId)
+	})
+
+	add(RULE_ATTRIBUTES.CUSTOM_ID, rule.customId)
+	if (rule.condition) add(RULE_ATTRIBUTES.CONDITION, serializeCondition(rule.condition))
+	;(rule.extra || []).forEach(({ key, value }) => add(key, value))
+
+	return lines.join(eol)
+}
+
+/**
+ * Serialize header to canonical text (no trailing line break)
+ * @param {Object} header - Header object
+ * @param {string} eol - Line ending
+ * @returns {string} Header text
+ */
+const serializeHeader = (header, eol) => {
+	const lines = []
+	if (header.version !== undefined) lines.push(formatAttribute(RULE_ATTRIBUTES.VERSION, header.version))
+	if (header.logging !== undefined) lines.push(formatAttribute(RULE_ATTRIBUTES.LOGGING, header.logging))
+	header.extra.forEach(({ key, value }) => lines.push(formatAttribute(key, value)))
+	return lines.join(eol)
+}
+
+/**
+ * Check whether a parsed part is still unmodified
+ * @param {Object} part - Rule or header
+ * @param {Function} signatureFn - Signature function
+ * @returns {boolean} True if original text can be reused
+ */
+const isPristine = (part, signatureFn) =>
+	Boolean(part.source) && part.source.signature === signatureFn(part)
+
+/**
+ * Serialize file model back to msgFilterRules.dat content
+ * @param {Object} file - File model from parseFile
+ * @returns {string} File content
+ */
+export const serializeFile = (file) => {
+	const eol = file.eol || RULE_FILE_DEFAULTS.EOL
+	const header = file.header
+
+	const headerText = isPristine(header, headerSignature)
+		? header.source.raw
+		: (serializeHeader(header, eol) + eol)
+
+	const ruleTexts = file.rules.map(rule => isPristine(rule, ruleSignature)
+		? rule.source.raw
+		: serializeRule(rule, eol) + eol
+	)
+
+	// Reordered rules may lack the line break the file's last rule had
+	return [headerText, ...ruleTexts].reduce((out, part) => {
+		if (!part) return out
+		const needsBreak = out && !out.endsWith('\n')
+		return out + (needsBreak ? eol : '') + part
+	}, '')
+}
+
+// ============================================================================
+// Construction Helpers
+// ============================================================================
+
+/**
+ * Create a new rule object (serialized canonically)
+ * @param {Object} fields - Rule fields
+ * @returns {Object} Rule object
+ */
+export const createRule = (fields) => ({
+	name: '',
+	enabled: true,
+	description: undefined,
+	type: undefined,
+	actions: [],
+	customId: undefined,
+	condition: undefined,
+	extra: [],
+	invalid: [],
+	anomalies: [],
+	line: null,
+	...fields
+})
+
+/**
+ * Create an empty file model with the default header
+ * @param {string} eol - Line ending
+ * @returns {Object} File model
+ */
+export const createFile = (eol = RULE_FILE_DEFAULTS.EOL) => ({
+	header: {
+		version: RULE_FILE_DEFAULTS.VERSION,
+		logging: RULE_FILE_DEFAULTS.LOGGING,
+		extra: [],
+		invalid: []
+	},
+	rules: [],
+	eol
+})
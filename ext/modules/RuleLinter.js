@@ -0,0 +1,295 @@
+/**
+ * Modules/RuleLinter.js
+ * Validation pass over msgFilterRules.dat content.
+ * Produces line-numbered diagnostics for problems the parser works around.
+ */
+
+import {
+	ACTION_TYPES,
+	CONDITION_MATCH,
+	CONDITION_FIELDS,
+	FILTER_TYPE_MASK,
+	LINT_CODES,
+	LINT_MESSAGES,
+	LINT_SEVERITY,
+	REGEX_PATTERNS
+} from '../config/constants.js'
+import { parseFile, ANOMALIES } from './RuleFile.js'
+import {
+	actionHasValue,
+	extractEmailsFromCondition,
+	getMoveTarget,
+	isFolderAction,
+	uriToPath
+} from './RuleEngine.js'
+import { findCoveredRules } from './DomainAggregator.js'
+import { groupBy, sortByKey } from '../utils/data.js'
+
+// ============================================================================
+// Diagnostic Helpers
+// ============================================================================
+
+/**
+ * Create a diagnostic entry
+ * @param {string} severity - LINT_SEVERITY value
+ * @param {string} code - LINT_CODES value
+ * @param {number} line - 1-based line number
+ * @param {string} message - Human readable message
+ * @returns {Object} Diagnostic {severity, code, line, message}
+ */
+const diagnostic = (severity, code, line, message) => ({ severity, code, line, message })
+
+/**
+ * Get account base (scheme://user@host) of a folder URI
+ * @param {string} uri - Folder URI
+ * @returns {string|null} Lowercase base or null
+ */
+const uriBase = (uri) => {
+	const match = uri.match(REGEX_PATTERNS.URI_BASE)
+	return match ? match[1].toLowerCase() : null
+}
+
+// ============================================================================
+// Per-Rule Checks
+// ============================================================================
+
+/**
+ * Report lines the parser could not read
+ * @param {Object} part - Rule or header
+ * @returns {Array<Object>} Diagnostics
+ */
+const checkInvalidLines = (part) => part.invalid.map(({ line, text }) =>
+	diagnostic(LINT_SEVERITY.ERROR, LINT_CODES.INVALID_LINE, line, LINT_MESSAGES.INVALID_LINE(text))
+)
+
+/**
+ * Report structural problems of a single rule
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {Array<Object>} Diagnostics
+ */
+const checkRuleStructure = (rule) => {
+	const found = checkInvalidLines(rule)
+	const add = (severity, code, line, message) => found.push(diagnostic(severity, code, line, message))
+
+	rule.anomalies.forEach(({ kind, key, line }) => kind === ANOMALIES.MULTILINE
+		? add(LINT_SEVERITY.WARNING, LINT_CODES.MULTILINE_VALUE, line, LINT_MESSAGES.MULTILINE_VALUE(key))
+		: add(LINT_SEVERITY.WARNING, LINT_CODES.REPEATED_ATTRIBUTE, line, LINT_MESSAGES.REPEATED_ATTRIBUTE(key))
+	)
+
+	if (rule.actions.length === 0) {
+		add(LINT_SEVERITY.WARNING, LINT_CODES.NO_ACTIONS, rule.line, LINT_MESSAGES.NO_ACTIONS(rule.name))
+	}
+
+	rule.actions
+		.filter(a => actionHasValue(a.type) && !a.value)
+		.forEach(a => add(LINT_SEVERITY.ERROR, LINT_CODES.MISSING_ACTION_VALUE, a.line || rule.line,
+			LINT_MESSAGES.MISSING_ACTION_VALUE(a.type)))
+
+	rule.actions
+		.filter(a => isFolderAction(a) && a.value && !uriToPath(a.value))
+		.forEach(a => add(LINT_SEVERITY.ERROR, LINT_CODES.BAD_FOLDER_URI, a.line || rule.line,
+			LINT_MESSAGES.BAD_FOLDER_URI(a.value)))
+
+	if (!rule.condition) {
+		add(LINT_SEVERITY.ERROR, LINT_CODES.NO_CONDITION, rule.line, LINT_MESSAGES.NO_CONDITION(rule.name))
+	} else if (rule.condition.error) {
+		add(LINT_SEVERITY.ERROR, LINT_CODES.BAD_CONDITION, rule.line,
+			LINT_MESSAGES.BAD_CONDITION(rule.condition.error))
+	}
+
+	return found
+}
+
+/**
+ * Report bad filter type bitmasks
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {Array<Object>} Diagnostics
+ */
+const checkType = (rule) => {
+	const { type } = rule
+	const valid = Number.isInteger(type) && type > 0 && (type & ~FILTER_TYPE_MASK) === 0
+
+	return valid ? [] : [
+		diagnostic(LINT_SEVERITY.ERROR, LINT_CODES.BAD_TYPE, rule.line, LINT_MESSAGES.BAD_TYPE(type))
+	]
+}
+
+// ============================================================================
+// Cross-Rule Checks
+// ============================================================================
+
+/**
+ * Report duplicate rule names
+ * @param {Array<Object>} rules - Rule objects
+ * @returns {Array<Object>} Diagnostics
+ */
+const checkDuplicateNames = (rules) => {
+	const groups = groupBy(r => r.name, rules)
+
+	return [...groups.values()]
+		.filter(group => group.length > 1)
+		.flatMap(([first, ...rest]) => rest.map(rule =>
+			diagnostic(LINT_SEVERITY.WARNING, LINT_CODES.DUPLICATE_NAME, rule.line,
+				LINT_MESSAGES.DUPLICATE_NAME(rule.name, first.line))
+		))
+}
+
+/**
+ * Report senders routed to more than one folder
+ * @param {Array<Object>} rules - Rule objects
+ * @returns {Array<Object>} Diagnostics
+ */
+const checkSenderConflicts = (rules) => {
+	const routes = rules.flatMap(rule => {
+		const uri = getMoveTarget(rule)
+		const path = uri && uriToPath(uri)
+		if (!path) return []
+		return extractEmailsFromCondition(rule.condition, [CONDITION_FIELDS.FROM])
+			.map(email => ({ email, path, line: rule.line }))
+	})
+
+	return [...groupBy(r => r.email, routes).values()].flatMap(([first, ...rest]) =>
+		rest
+			.filter(r => r.path.toLowerCase() !== first.path.toLowerCase())
+			.map(r => diagnostic(LINT_SEVERITY.WARNING, LINT_CODES.SENDER_CONFLICT, r.line,
+				LINT_MESSAGES.SENDER_CONFLICT(r.email, r.path, first.path, first.line)))
+	)
+}
+
+/**
+ * Compare two terms for equality
+ * @param {Object} a - First term
+ * @param {Object} b - Second term
+ * @returns {boolean} True if equal
+ */
+const sameTerm = (a, b) =>
+	a.field === b.field &&
+	a.customHeader === b.customHeader &&
+	a.operator === b.operator &&
+	String(a.value).toLowerCase() === String(b.value).toLowerCase()
+
+/**
+ * Check if every message matched by `later` is also matched by `earlier`.
+ * Conservative: only recognises ALL and term-subset relations.
+ * @param {Object} earlier - Condition of the earlier rule
+ * @param {Object} later - Condition of the later rule
+ * @returns {boolean} True if later's matches are covered by earlier
+ */
+const conditionCovers = (earlier, later) => {
+	if (!earlier || !later || earlier.error || later.error) return false
+	if (earlier.match === CONDITION_MATCH.ALL) return true
+	if (later.match === CONDITION_MATCH.ALL) return false
+
+	const has = (terms, term) => terms.some(t => sameTerm(t, term))
+	const earlierAny = earlier.match === CONDITION_MATCH.OR || earlier.terms.length === 1
+	const laterAny = later.match === CONDITION_MATCH.OR || later.terms.length === 1
+
+	// Every later alternative must hit one earlier alternative
+	if (earlierAny && laterAny) return later.terms.every(t => has(earlier.terms, t))
+	// Earlier alternative appearing among later's required terms
+	if (earlierAny) return earlier.terms.some(t => has(later.terms, t))
+	// Earlier's required terms are all required by later too
+	if (!laterAny) return earlier.terms.every(t => has(later.terms, t))
+	return later.terms.every(t => earlier.terms.every(e => sameTerm(e, t)))
+}
+
+/**
+ * Report rules that can never run because an earlier rule stops execution
+ * @param {Array<Object>} rules - Rule objects
+ * @returns {Array<Object>} Diagnostics
+ */
+const checkUnreachable = (rules) => {
+	const stoppers = []
+	const found = []
+
+	rules.forEach(rule => {
+		if (!rule.enabled) return
+
+		const blocker = stoppers.find(s =>
+			Number.isInteger(rule.type) &&
+			(rule.type & ~s.type) === 0 &&
+			conditionCovers(s.condition, rule.condition)
+		)
+
+		if (blocker) {
+			found.push(diagnostic(LINT_SEVERITY.WARNING, LINT_CODES.UNREACHABLE, rule.line,
+				LINT_MESSAGES.UNREACHABLE(rule.name, blocker.name, blocker.line)))
+		}
+
+		if (Number.isInteger(rule.type) && rule.actions.some(a => a.type === ACTION_TYPES.STOP_EXECUTION)) {
+			stoppers.push(rule)
+		}
+	})
+
+	return found
+}
+
+/**
+ * Report folder URIs pointing at a different account than the rest of the file
+ * @param {Array<Object>} rules - Rule objects
+ * @returns {Array<Object>} Diagnostics
+ */
+const checkForeignHosts = (rules) => {
+	const uris = rules.flatMap(rule => rule.actions
+		.filter(a => isFolderAction(a) && a.value)
+		.map(a => ({ base: uriBase(a.value), uri: a.value, line: a.line || rule.line }))
+		.filter(u => u.base)
+	)
+
+	const groups = [...groupBy(u => u.base, uris).entries()]
+	if (groups.length < 2) return []
+
+	const [majority] = groups.reduce((best, g) => g[1].length > best[1].length ? g : best)
+
+	return uris
+		.filter(u => u.base !== majority)
+		.map(u => diagnostic(LINT_SEVERITY.WARNING, LINT_CODES.FOREIGN_HOST, u.line,
+			LINT_MESSAGES.FOREIGN_HOST(u.base, majority)))
+}
+
+/**
+ * Report per-user rules whose senders a domain rule already matches
+ * @param {Array<Object>} rules - Rule objects
+ * @returns {Array<Object>} Diagnostics
+ */
+const checkCoveredByDomain = (rules) => [...findCoveredRules(rules).entries()]
+	.map(([rule, by]) => diagnostic(LINT_SEVERITY.WARNING, LINT_CODES.COVERED_BY_DOMAIN, rule.line,
+		LINT_MESSAGES.COVERED_BY_DOMAIN(rule.name, by.name, by.line)))
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Lint rules file content
+ * @param {string} content - Raw msgFilterRules.dat content
+ * @returns {Array<Object>} Diagnostics sorted by line
+ */
+export const lintRules = (content) => {
+	if (!content) return []
+
+	const { header, rules } = parseFile(content)
+
+	const found = [
+		...checkInvalidLines(header),
+		...rules.flatMap(checkRuleStructure),
+		...rules.flatMap(checkType),
+		...checkDuplicateNames(rules),
+		...checkSenderConflicts(rules),
+		...checkUnreachable(rules),
+		...checkForeignHosts(rules),
+		...checkCoveredByDomain(rules)
+	]
+
+	return sortByKey('line', found)
+}
+
+/**
+ * Count diagnostics by severity
+ * @param {Array<Object>} diagnostics - Diagnostics
+ * @returns {Object} {errors, warnings}
+ */
+export const summarizeDiagnostics = (diagnostics) => ({
+	errors: diagnostics.filter(d => d.severity === LINT_SEVERITY.ERROR).length,
+	warnings: diagnostics.filter(d => d.severity === LINT_SEVERITY.WARNING).length
+})
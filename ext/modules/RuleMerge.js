@@ -0,0 +1,233 @@
+/**
+ * Modules/RuleMerge.js
+ * Structural merge of new rules into an existing msgFilterRules.dat.
+ * Rules are matched by sender condition and target folder: exact duplicates
+ * are dropped, senders already routed elsewhere are reported as conflicts.
+ * Only single-term and OR rules route a sender as a whole; AND rules are kept
+ * intact, as dropping one of their terms would widen them.
+ */
+
+import { CONDITION_FIELDS, CONDITION_MATCH, MERGE_STATUS, MERGE_SIDE } from '../config/constants.js'
+import { parseFile, serializeFile, createFile } from './RuleFile.js'
+import { createCondition, serializeCondition } from './ConditionParser.js'
+import { extractEmailsFromCondition, getMoveTarget, uriToPath } from './RuleEngine.js'
+
+// ============================================================================
+// Rule Keys
+// ============================================================================
+
+/**
+ * Get sender emails of a rule (from-field terms)
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {Array<string>} Lowercase sender emails
+ */
+const sendersOf = (rule) => extractEmailsFromCondition(rule.condition, [CONDITION_FIELDS.FROM])
+
+/**
+ * Check if each term of a rule matches on its own (single-term and OR rules).
+ * The other terms of an AND rule narrow it to part of a sender's mail.
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {boolean} True if every sender term routes all mail of its sender
+ */
+const routesWholeSenders = (rule) => Boolean(rule.condition) && !rule.condition.error &&
+	(rule.condition.terms.length === 1 || rule.condition.match === CONDITION_MATCH.OR)
+
+/**
+ * Get the senders a rule routes as a whole
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {Array<string>} Lowercase sender emails (empty for AND rules)
+ */
+const wholeSendersOf = (rule) => routesWholeSenders(rule) ? sendersOf(rule) : []
+
+/**
+ * Get lowercase move target path of a rule
+ * @param {Object} rule - Rule object from RuleFile
+ * @returns {string|null} Target path or null
+ */
+const targetOf = (rule) => {
+	const uri = getMoveTarget(rule)
+	const path = uri && uriToPath(uri)
+	return path ? path.toLowerCase() : null
+}
+
+/**
+ * Build conflict identifier
+ * @param {number} index - Incoming rule index
+ * @param {string} email - Conflicting sender
+ * @returns {string} Conflict ID
+ */
+export const conflictId = (index, email) => `${index}:${email}`
+
+/**
+ * Index existing routes: sender -> [{index, path}]
+ * @param {Array<Object>} rules - Existing rule objects
+ * @returns {Map<string, Array<Object>>} Route index
+ */
+const indexRoutes = (rules) => {
+	const routes = new Map()
+	rules.forEach((rule, index) => {
+		const path = targetOf(rule)
+		if (!path) return
+		wholeSendersOf(rule).forEach(email => {
+			if (!routes.has(email)) routes.set(email, [])
+			routes.get(email).push({ index, path })
+		})
+	})
+	return routes
+}
+
+// ============================================================================
+// Planning
+// ============================================================================
+
+/**
+ * Classify one incoming rule against the existing rules
+ * @param {Object} rule - Incoming rule
+ * @param {number} index - Incoming rule index
+ * @param {Map} routes - Existing route index
+ * @param {Array<Object>} existing - Existing rules
+ * @returns {Object} Plan entry {rule, index, status, conflicts}
+ */
+const classifyRule = (rule, index, routes, existing) => {
+	const path = targetOf(rule)
+	const senders = wholeSendersOf(rule)
+
+	if (senders.length === 0) {
+		const condition = rule.condition ? serializeCondition(rule.condition) : ''
+		const duplicate = existing.some(e =>
+			targetOf(e) === path &&
+			(e.condition ? serializeCondition(e.condition) : '') === condition
+		)
+		return { rule, index, status: duplicate ? MERGE_STATUS.DUPLICATE : MERGE_STATUS.NEW, conflicts: [] }
+	}
+
+	const conflicts = senders.flatMap(email => (routes.get(email) || [])
+		.filter(r => r.path !== path)
+		.map(r => ({
+			id: conflictId(index, email),
+			email,
+			existingIndex: r.index,
+			existingPath: uriToPath(getMoveTarget(existing[r.index])),
+			incomingPath: path && uriToPath(getMoveTarget(rule))
+		}))
+	)
+
+	const allRouted = senders.every(email => (routes.get(email) || []).some(r => r.path === path))
+
+	const status = conflicts.length
+		? MERGE_STATUS.CONFLICT
+		: (allRouted ? MERGE_STATUS.DUPLICATE : MERGE_STATUS.NEW)
+
+	return { rule, index, status, conflicts }
+}
+
+/**
+ * Identity of a rule for duplicate detection inside one batch
+ * @param {Object} rule - Rule object
+ * @returns {string} Key
+ */
+const ruleKey = (rule) => JSON.stringify([
+	[...sendersOf(rule)].sort(),
+	rule.condition ? serializeCondition(rule.condition) : '',
+	targetOf(rule)
+])
+
+/**
+ * Plan merging incoming rules into existing content
+ * @param {string} baseContent - Existing msgFilterRules.dat content
+ * @param {string} incomingContent - Rules to merge in (header ignored)
+ * @returns {Object} Plan {base, entries, counts}
+ */
+export const planMerge = (baseContent, incomingContent) => {
+	const parsed = baseContent && baseContent.trim() ? parseFile(baseContent) : createFile()
+	const base = parsed.header.version === undefined
+		? { ...parsed, header: createFile(parsed.eol).header }
+		: parsed
+
+	const routes = indexRoutes(base.rules)
+	const entries = parseFile(incomingContent).rules
+		.map((rule, index) => classifyRule(rule, index, routes, base.rules))
+
+	// Rules repeated inside the incoming batch
+	const keys = new Set()
+	entries
+		.filter(e => e.status === MERGE_STATUS.NEW)
+		.forEach(e => {
+			const key = ruleKey(e.rule)
+			if (keys.has(key)) e.status = MERGE_STATUS.DUPLICATE
+			keys.add(key)
+		})
+
+	const count = (status) => entries.filter(e => e.status === status).length
+
+	return {
+		base,
+		entries,
+		counts: {
+			added: count(MERGE_STATUS.NEW),
+			duplicates: count(MERGE_STATUS.DUPLICATE),
+			conflicts: entries.reduce((n, e) => n + e.conflicts.length, 0)
+		}
+	}
+}
+
+// ============================================================================
+// Applying
+// ============================================================================
+
+/**
+ * Remove sender terms from a rule (AND rules are left whole)
+ * @param {Object} rule - Rule object
+ * @param {Array<string>} emails - Senders to remove
+ * @returns {Object|null} Updated rule or null if no condition terms remain
+ */
+const withoutSenders = (rule, emails) => {
+	if (emails.length === 0 || !routesWholeSenders(rule)) return rule
+
+	const drop = new Set(emails)
+	const terms = rule.condition.terms.filter(t => {
+		const [email] = extractEmailsFromCondition({ terms: [t] }, [CONDITION_FIELDS.FROM])
+		return !email || !drop.has(email)
+	})
+
+	if (terms.length === 0) return null
+	return { ...rule, condition: createCondition(rule.condition.match, terms) }
+}
+
+/**
+ * Apply a merge plan
+ * @param {Object} plan - Plan from planMerge
+ * @param {Object} resolutions - conflictId -> MERGE_SIDE (default: keep existing)
+ * @returns {Object} Merged file model
+ */
+export const applyMerge = (plan, resolutions = {}) => {
+	const sideOf = (conflict) => resolutions[conflict.id] || MERGE_SIDE.EXISTING
+	const conflicts = plan.entries.flatMap(e => e.conflicts)
+
+	// Existing rules lose senders whose conflict was resolved in favour of the new rule
+	const existing = plan.base.rules
+		.map((rule, index) => withoutSenders(rule, conflicts
+			.filter(c => c.existingIndex === index && sideOf(c) === MERGE_SIDE.INCOMING)
+			.map(c => c.email)))
+		.filter(Boolean)
+
+	const added = plan.entries
+		.filter(e => e.status !== MERGE_STATUS.DUPLICATE)
+		.map(e => withoutSenders(e.rule, e.conflicts
+			.filter(c => sideOf(c) === MERGE_SIDE.EXISTING)
+			.map(c => c.email)))
+		.filter(Boolean)
+
+	return { ...plan.base, rules: [...existing, ...added] }
+}
+
+/**
+ * Merge incoming rules into existing content
+ * @param {string} baseContent - Existing content
+ * @param {string} incomingContent - Rules to add
+ * @param {Object} resolutions - Conflict resolutions
+ * @returns {string} Merged content with a single header
+ */
+export const mergeRuleFiles = (baseContent, incomingContent, resolutions = {}) => {
+	return serializeFile(applyMerge(planMerge(baseContent, incomingContent), resolutions))
+}
@@ -0,0 +1,196 @@
+/**
+ * Modules/RuleTemplates.js
+ * User templates for generated rules. A template sets the rule name, the header
+ * field, operator and value matched, extra actions and whether the rule starts
+ * enabled; text may use {email}, {local}, {domain} and {path} placeholders.
+ */
+
+import {
+	DEFAULT_RULE_TEMPLATE,
+	TEMPLATE_OPERATORS,
+	CONDITION_FIELDS,
+	CONDITION_MATCH,
+	ACTION_TYPES,
+	VALUED_ACTIONS,
+	SANITIZE
+} from '../config/constants.js'
+import { createRule } from './RuleFile.js'
+import { createCondition, createTerm } from './ConditionParser.js'
+import { groupBy, unique } from '../utils/data.js'
+
+const PLACEHOLDER = /\{(\w+)\}/g
+const KNOWN_ACTIONS = Object.values(ACTION_TYPES)
+const BUILT_IN_FIELDS = Object.values(CONDITION_FIELDS)
+
+// ============================================================================
+// Placeholders
+// ============================================================================
+
+/**
+ * Placeholder values for one sender
+ * @param {string} email - Sender address
+ * @param {string} path - Target folder path
+ * @returns {Object} {email, local, domain, path}
+ */
+export const templateValues = (email, path = '') => {
+	const address = String(email || '').trim().toLowerCase()
+	const at = address.lastIndexOf('@')
+	return {
+		email: address,
+		local: at > 0 ? address.slice(0, at) : '',
+		domain: at >= 0 ? address.slice(at + 1) : address,
+		path
+	}
+}
+
+/**
+ * Fill placeholders in a template text (unknown placeholders are kept)
+ * @param {string} text - Template text ("From {email}")
+ * @param {Object} values - Placeholder values
+ * @returns {string} Filled text
+ */
+export const fillPlaceholders = (text, values) =>
+	String(text ?? '').replace(PLACEHOLDER, (match, name) => values[name] ?? match)
+
+// ============================================================================
+// Templates
+// ============================================================================
+
+/**
+ * Check if a field is a custom header rather than a built-in attribute
+ * @param {string} field - Condition field
+ * @returns {boolean} True for custom headers
+ */
+export const isCustomHeader = (field) => !BUILT_IN_FIELDS.includes(field)
+
+/**
+ * Complete a stored template with defaults and drop invalid parts
+ * @param {Object} template - Stored template
+ * @returns {Object} Usable template
+ */
+export const normalizeTemplate = (template) => {
+	const merged = { ...DEFAULT_RULE_TEMPLATE, ...template }
+	return {
+		...merged,
+		name: String(merged.name || '').trim() || merged.id,
+		field: String(merged.field || '').trim() || DEFAULT_RULE_TEMPLATE.field,
+		operator: TEMPLATE_OPERATORS.includes(merged.operator) ? merged.operator : DEFAULT_RULE_TEMPLATE.operator,
+		value: merged.value || DEFAULT_RULE_TEMPLATE.value,
+		enabled: merged.enabled !== false,
+		actions: (Array.isArray(merged.actions) ? merged.actions : [])
+			.filter(action => KNOWN_ACTIONS.includes(action.type) && action.type !== ACTION_TYPES.MOVE_TO_FOLDER)
+	}
+}
+
+/**
+ * Templates offered for generation: the built-in one, then the user's
+ * @param {Array<Object>} userTemplates - Templates from the configuration
+ * @returns {Array<Object>} Usable templates
+ */
+export const listTemplates = (userTemplates = []) => [
+	DEFAULT_RULE_TEMPLATE,
+	...userTemplates
+		.filter(t => t && t.id && t.id !== DEFAULT_RULE_TEMPLATE.id)
+		.map(normalizeTemplate)
+]
+
+/**
+ * Find a template by id
+ * @param {Array<Object>} templates - Templates from listTemplates
+ * @param {string} id - Template id
+ * @returns {Object} Template (the built-in one if not found)
+ */
+export const findTemplate = (templates, id) =>
+	templates.find(t => t.id === id) || DEFAULT_RULE_TEMPLATE
+
+/**
+ * Create an id not used by any template
+ * @param {Array<Object>} templates - Existing templates
+ * @returns {string} New id
+ */
+export const createTemplateId = (templates) => {
+	const ids = new Set(templates.map(t => t.id))
+	let n = templates.length + 1
+	while (ids.has(`template-${n}`)) n++
+	return `template-${n}`
+}
+
+// ============================================================================
+// Action Lines
+// ============================================================================
+
+/**
+ * Parse extra actions from "Action type" or "Action type => value" lines
+ * @param {string} text - One action per line
+ * @returns {Array<Object>} Actions [{type, value}]
+ */
+export const parseActionLines = (text) => String(text || '')
+	.split(/\r?\n/)
+	.map(line => line.split(SANITIZE.RULE_SEPARATOR).map(part => part.trim()))
+	.filter(([type]) => type)
+	.map(([type, ...rest]) => {
+		const value = rest.join(SANITIZE.RULE_SEPARATOR).trim()
+		return VALUED_ACTIONS.includes(type) ? { type, value } : { type }
+	})
+
+/**
+ * Format extra actions as lines for the options page
+ * @param {Array<Object>} actions - Actions [{type, value}]
+ * @returns {string} Text
+ */
+export const formatActionLines = (actions) => (actions || [])
+	.map(a => a.value !== undefined && a.value !== '' ? `${a.type} ${SANITIZE.RULE_SEPARATOR} ${a.value}` : a.type)
+	.join('\n')
+
+/**
+ * Find action types a template editor does not know
+ * @param {Array<Object>} actions - Parsed actions
+ * @returns {Array<string>} Unknown types
+ */
+export const unknownActionTypes = (actions) => unique(
+	actions.map(a => a.type).filter(type => !KNOWN_ACTIONS.includes(type))
+)
+
+// ============================================================================
+// Rule Building
+// ============================================================================
+
+/**
+ * Drop repeated actions, keeping the first occurrence
+ * @param {Array<Object>} actions - Actions
+ * @returns {Array<Object>} Distinct actions
+ */
+const distinctActions = (actions) =>
+	[...groupBy(a => JSON.stringify([a.type, a.value]), actions).values()].map(group => group[0])
+
+/**
+ * Build a rule from a template for one sender or a group of addresses.
+ * Rule names of groups use the group name for {email}; {local} and {domain}
+ * come from the first address. A template with several fields (e.g.
+ * CONVERSATION_RULE_MATCH) matches each value in every field.
+ * @param {Object} template - Template
+ * @returns {Function} Function accepting ({name, emails}, path, moveAction, typeValue, extraActions)
+ *   and returning a rule object
+ */
+export const buildTemplateRule = (template) => (group, path, moveAction, typeValue, extraActions = []) => {
+	const t = normalizeTemplate(template)
+	const fields = Array.isArray(t.fields) && t.fields.length > 0 ? t.fields : [t.field]
+	const first = templateValues(group.emails[0], path)
+	const named = { ...first, email: group.name || first.email }
+
+	const values = unique(group.emails.map(email => fillPlaceholders(t.value, templateValues(email, path))))
+	const terms = values.flatMap(value => fields.map(field =>
+		createTerm(field, t.operator, value, { customHeader: isCustomHeader(field) })
+	))
+	const templated = t.actions.map(action => action.value === undefined
+		? action
+		: { ...action, value: fillPlaceholders(action.value, first) })
+
+	return createRule({
+		name: fillPlaceholders(t.ruleName, named),
+		enabled: t.enabled,
+		type: typeValue,
+		actions: distinctActions([moveAction, ...templated, ...extraActions]),
+		condition: createCondition(terms.length > 1 ? CONDITION_MATCH.OR : CONDITION_MATCH.AND, terms)
+	})
+}
@@ -0,0 +1,118 @@
+/**
+ * Modules/SenderStats.js
+ * Per-sender statistics collected while scanning (message count, first and
+ * last seen, unread count, folders), with filtering and sorting for the
+ * discovery list.
+ */
+
+import { unique } from '../utils/data.js'
+
+// ============================================================================
+// Collection
+// ============================================================================
+
+/**
+ * Create an empty statistics accumulator
+ * @returns {Map<string, Object>} Email -> statistics
+ */
+export const createSenderStats = () => new Map()
+
+/**
+ * Count one message of a sender
+ * @param {Map<string, Object>} stats - Accumulator (updated in place)
+ * @param {string} email - Sender email
+ * @param {Object} message - MessageHeader {date, read, folder}
+ */
+export const recordMessage = (stats, email, message) => {
+	const time = message.date ? new Date(message.date).getTime() : NaN
+	const folder = message.folder && (message.folder.path || '').replace(/^\/+/, '')
+	const entry = stats.get(email) || { count: 0, unread: 0, firstSeen: null, lastSeen: null, folders: new Set() }
+
+	entry.count++
+	if (message.read === false) entry.unread++
+	if (!Number.isNaN(time)) {
+		entry.firstSeen = entry.firstSeen === null ? time : Math.min(entry.firstSeen, time)
+		entry.lastSeen = entry.lastSeen === null ? time : Math.max(entry.lastSeen, time)
+	}
+	if (folder) entry.folders.add(folder)
+
+	stats.set(email, entry)
+}
+
+/**
+ * List collected statistics (plain values, safe to post over a port)
+ * @param {Map<string, Object>} stats - Accumulator
+ * @returns {Array<Object>} Senders [{email, count, unread, firstSeen, lastSeen, folders}], times in ms
+ */
+export const listSenderStats = (stats) => [...stats.entries()].map(([email, entry]) => ({
+	email,
+	count: entry.count,
+	unread: entry.unread,
+	firstSeen: entry.firstSeen,
+	lastSeen: entry.lastSeen,
+	folders: [...entry.folders].sort()
+}))
+
+/**
+ * Combine the statistics of several senders (contact or domain groups)
+ * @param {Array<Object>} items - Items with statistics
+ * @returns {Object} {count, unread, firstSeen, lastSeen, folders}
+ */
+export const combineStats = (items) => {
+	const times = (key) => items.map(i => i[key]).filter(t => typeof t === 'number')
+	const first = times('firstSeen')
+	const last = times('lastSeen')
+
+	return {
+		count: items.reduce((n, i) => n + (i.count || 0), 0),
+		unread: items.reduce((n, i) => n + (i.unread || 0), 0),
+		firstSeen: first.length ? Math.min(...first) : null,
+		lastSeen: last.length ? Math.max(...last) : null,
+		folders: unique(items.flatMap(i => i.folders || [])).sort()
+	}
+}
+
+// ============================================================================
+// Filtering & Sorting
+// ============================================================================
+
+/**
+ * Build a filter on statistics. Items without statistics (e.g. found from
+ * folders rather than messages) always pass.
+ * @param {Object} filters - {minCount, lastSeenAfter} (lastSeenAfter in ms, 0 for none)
+ * @returns {Function} Predicate item -> boolean
+ */
+export const statsFilter = ({ minCount = 0, lastSeenAfter = 0 }) => (item) => {
+	if (item.count === undefined) return true
+	if (minCount && item.count < minCount) return false
+	if (lastSeenAfter && !(item.lastSeen >= lastSeenAfter)) return false
+	return true
+}
+
+/**
+ * Sort key of an item column (arrays sort by length)
+ * @param {Object} item - Discovered item
+ * @param {string} col - Column key
+ * @returns {number|string|null} Sort key, null if missing
+ */
+const sortValue = (item, col) => {
+	const value = item[col]
+	if (Array.isArray(value)) return value.length
+	return value === undefined || value === null || value === '' ? null : value
+}
+
+/**
+ * Compare items by a column (missing values sort lowest)
+ * @param {string} col - Column key
+ * @param {number} dir - 1 ascending, -1 descending
+ * @returns {Function} Comparator
+ */
+export const compareByColumn = (col, dir = 1) => (a, b) => {
+	const va = sortValue(a, col)
+	const vb = sortValue(b, col)
+	if (va === null || vb === null) return ((va === null) - (vb === null)) * -dir
+	const order = typeof va === 'string' && typeof vb === 'string'
+		? va.localeCompare(vb)
+		: (va > vb) - (va < vb)
+	return order * dir
+}
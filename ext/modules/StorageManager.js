@@ -0,0 +1,226 @@
+/**
+ * Modules/StorageManager.js
+ * Per-account persistence in storage.local with dependency injection
+ */
+
+import { STORAGE_KEYS, HIERARCHY_DELIMITERS, LIMITS } from '../config/constants.js'
+import { createMemory } from './RootMemory.js'
+
+// ============================================================================
+// Generic Access
+// ============================================================================
+
+/**
+ * Read a storage.local key
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (key, fallback)
+ */
+const readKey = (api) => async (key, fallback) => {
+	const stored = await api.storage.local.get({ [key]: fallback })
+	return stored[key]
+}
+
+/**
+ * Write a storage.local key
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (key, value)
+ */
+const writeKey = (api) => (key, value) => api.storage.local.set({ [key]: value })
+
+// ============================================================================
+// Rules Copy
+// ============================================================================
+
+/**
+ * Get the last rules file content seen for an account
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting accountId, resolving to {content, savedAt} or null
+ */
+export const getRulesCopy = (api) => (accountId) => readKey(api)(STORAGE_KEYS.RULES_COPY(accountId), null)
+
+/**
+ * Store rules file content for an account
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (accountId, content)
+ */
+export const saveRulesCopy = (api) => (accountId, content) =>
+	writeKey(api)(STORAGE_KEYS.RULES_COPY(accountId), { content, savedAt: Date.now() })
+
+// ============================================================================
+// Hierarchy Delimiter
+// ============================================================================
+
+/**
+ * Get the configured hierarchy delimiter of an account
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting accountId, resolving to a HIERARCHY_DELIMITERS value
+ */
+export const getDelimiterSetting = (api) => (accountId) =>
+	readKey(api)(STORAGE_KEYS.DELIMITER(accountId), HIERARCHY_DELIMITERS.AUTO)
+
+/**
+ * Store the hierarchy delimiter of an account
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (accountId, setting)
+ */
+export const saveDelimiterSetting = (api) => (accountId, setting) =>
+	writeKey(api)(STORAGE_KEYS.DELIMITER(accountId), setting)
+
+// ============================================================================
+// Root Memory
+// ============================================================================
+
+/**
+ * Get the email/domain -> root memory of an account
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting accountId, resolving to {emails, domains}
+ */
+export const getRootMemory = (api) => async (accountId) => ({
+	...createMemory(),
+	...await readKey(api)(STORAGE_KEYS.ROOT_MEMORY(accountId), null)
+})
+
+/**
+ * Store the email/domain -> root memory of an account
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (accountId, memory)
+ */
+export const saveRootMemory = (api) => (accountId, memory) =>
+	writeKey(api)(STORAGE_KEYS.ROOT_MEMORY(accountId), memory)
+
+// ============================================================================
+// Discovery Exclusions
+// ============================================================================
+
+/**
+ * Get the discovery exclusions of an account
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting accountId, resolving to [{kind, pattern}]
+ */
+export const getExclusions = (api) => (accountId) => readKey(api)(STORAGE_KEYS.EXCLUSIONS(accountId), [])
+
+/**
+ * Store the discovery exclusions of an account
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (accountId, exclusions)
+ */
+export const saveExclusions = (api) => (accountId, exclusions) =>
+	writeKey(api)(STORAGE_KEYS.EXCLUSIONS(accountId), exclusions)
+
+// ============================================================================
+// Filing Undo Log
+// ============================================================================
+
+/**
+ * Get the undo log of message filing (oldest batch first)
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting accountId, resolving to batches [{id, movedAt, moves}]
+ */
+export const getFilingLog = (api) => (accountId) => readKey(api)(STORAGE_KEYS.FILING_LOG(accountId), [])
+
+/**
+ * Append a batch of moves to the undo log, replacing an earlier record of the
+ * same batch (only the latest batches are kept)
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (accountId, batch)
+ */
+export const addFilingBatch = (api) => async (accountId, batch) => {
+	const log = (await getFilingLog(api)(accountId)).filter(b => b.id !== batch.id)
+	await writeKey(api)(STORAGE_KEYS.FILING_LOG(accountId), [...log, batch].slice(-LIMITS.MAX_FILING_BATCHES))
+}
+
+/**
+ * Drop a batch from the undo log
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (accountId, batchId)
+ */
+export const removeFilingBatch = (api) => async (accountId, batchId) => {
+	const log = await getFilingLog(api)(accountId)
+	await writeKey(api)(STORAGE_KEYS.FILING_LOG(accountId), log.filter(b => b.id !== batchId))
+}
+
+// ============================================================================
+// Folder Path Changes
+// ============================================================================
+
+/**
+ * Get recorded folder renames/moves for an account
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting accountId, resolving to [{id, from, to, at}]
+ */
+export const getPathChanges = (api) => (accountId) => readKey(api)(STORAGE_KEYS.PATH_CHANGES(accountId), [])
+
+/**
+ * Record a folder rename/move
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (accountId, {from, to, fromBase, toBase})
+ */
+export const addPathChange = (api) => async (accountId, change) => {
+	const changes = await getPathChanges(api)(accountId)
+	const at = Date.now()
+	const { from, to, fromBase, toBase } = change
+	const entry = { id: `${at}:${changes.length}`, from, to, fromBase, toBase, at }
+	await writeKey(api)(STORAGE_KEYS.PATH_CHANGES(accountId), [...changes, entry])
+	return entry
+}
+
+/**
+ * Forget recorded folder changes
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (accountId, ids)
+ */
+export const removePathChanges = (api) => async (accountId, ids) => {
+	const drop = new Set(ids)
+	const changes = await getPathChanges(api)(accountId)
+	await writeKey(api)(STORAGE_KEYS.PATH_CHANGES(accountId), changes.filter(c => !drop.has(c.id)))
+}
+
+// ============================================================================
+// Background Discovery
+// ============================================================================
+
+/**
+ * Get the queue of unmapped senders found by background scans
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting accountId, resolving to senders [{email, count, ...}]
+ */
+export const getDiscoveryQueue = (api) => (accountId) => readKey(api)(STORAGE_KEYS.DISCOVERY_QUEUE(accountId), [])
+
+/**
+ * Store the queue of unmapped senders
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (accountId, queue)
+ */
+export const saveDiscoveryQueue = (api) => (accountId, queue) =>
+	writeKey(api)(STORAGE_KEYS.DISCOVERY_QUEUE(accountId), queue)
+
+/**
+ * Get the background scan state of an account
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting accountId, resolving to {lastScan, notified} (ms, queue length notified)
+ */
+export const getBackgroundScanState = (api) => (accountId) =>
+	readKey(api)(STORAGE_KEYS.BACKGROUND_SCAN(accountId), { lastScan: 0, notified: 0 })
+
+/**
+ * Store the background scan state of an account
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (accountId, state)
+ */
+export const saveBackgroundScanState = (api) => (accountId, scanState) =>
+	writeKey(api)(STORAGE_KEYS.BACKGROUND_SCAN(accountId), scanState)
+
+/**
+ * Get the senders of new mail that no rule files yet (pending suggestions)
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting accountId, resolving to senders [{email, count, ...}]
+ */
+export const getPendingSenders = (api) => (accountId) => readKey(api)(STORAGE_KEYS.PENDING_SENDERS(accountId), [])
+
+/**
+ * Store the pending suggestions of an account
+ * @param {Object} api - Messenger API object
+ * @returns {Function} Function accepting (accountId, senders)
+ */
+export const savePendingSenders = (api) => (accountId, senders) =>
+	writeKey(api)(STORAGE_KEYS.PENDING_SENDERS(accountId), senders)
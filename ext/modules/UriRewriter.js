@@ -0,0 +1,257 @@
+/**
+ * Modules/UriRewriter.js
+ * Bulk rewriting of folder URIs (actionValue of Move/Copy actions).
+ * Used for account rebasing and for propagating folder renames into rules.
+ */
+
+import { PATH_SEPARATOR, REGEX_PATTERNS, PLACEHOLDER_URI } from '../config/constants.js'
+import { parseFile, serializeFile } from './RuleFile.js'
+import { buildFullUri, isFolderAction } from './RuleEngine.js'
+import { escapePath } from './PathSanitizer.js'
+import { unique } from '../utils/data.js'
+
+// ============================================================================
+// URI Parts
+// ============================================================================
+
+/**
+ * Split folder URI into base and path
+ * @param {string} uri - Folder URI (imap://user@host/path or mailbox://...)
+ * @returns {Object|null} {base, rawPath, path} or null if not a folder URI
+ */
+export const splitFolderUri = (uri) => {
+	const match = String(uri || '').match(REGEX_PATTERNS.FOLDER_URI)
+	if (!match) return null
+
+	let path
+	try {
+		path = decodeURIComponent(match[2])
+	} catch (e) {
+		path = match[2]
+	}
+
+	return { base: match[1], rawPath: match[2], path }
+}
+
+/**
+ * Normalize a base URI (strip trailing slashes)
+ * @param {string} base - Base URI
+ * @returns {string} Normalized base
+ */
+export const normalizeBase = (base) => String(base || '').trim().replace(/\/+$/, '')
+
+/**
+ * Check if value is a usable base URI (imap://user@host or mailbox://user@host)
+ * @param {string} base - Base URI
+ * @returns {boolean} True if valid
+ */
+export const isValidBase = (base) => REGEX_PATTERNS.FOLDER_URI_BASE.test(normalizeBase(base))
+
+/**
+ * Get distinct base URIs used by folder actions in a rules file
+ * @param {string} content - Rules file content
+ * @returns {Array<string>} Base URIs in order of appearance
+ */
+export const getBaseUris = (content) => {
+	const { rules } = parseFile(content)
+	return unique(rules
+		.flatMap(r => r.actions.filter(a => isFolderAction(a) && a.value))
+		.map(a => splitFolderUri(a.value))
+		.filter(Boolean)
+		.map(p => p.base))
+}
+
+/**
+ * Folder base URI of an account, read from its rules (the mail API exposes
+ * no server details). Knowing the account type skips targets on other kinds
+ * of accounts, such as Local Folders targets in the rules of an IMAP account.
+ * @param {string} content - Rules file content of the account
+ * @param {string} [accountType] - MailAccount type ("imap", "pop3", "none", ...)
+ * @returns {string|null} The one valid base the rules use, null if none or several
+ */
+export const accountBaseOf = (content, accountType) => {
+	const scheme = !accountType ? '' : accountType === 'imap' ? 'imap://' : 'mailbox://'
+	const bases = getBaseUris(content || '')
+		.filter(base => isValidBase(base) && base !== PLACEHOLDER_URI && base.toLowerCase().startsWith(scheme))
+	return bases.length === 1 ? bases[0] : null
+}
+
+// ============================================================================
+// Path Prefix Remapping
+// ============================================================================
+
+/**
+ * Replace a leading path prefix (case-insensitive, whole segments only)
+ * @param {string} path - Folder path
+ * @param {string} fromPrefix - Prefix to replace
+ * @param {string} toPrefix - Replacement prefix (may be empty)
+ * @returns {string|null} New path or null if prefix does not match
+ */
+export const remapPathPrefix = (path, fromPrefix, toPrefix) => {
+	const from = String(fromPrefix || '').replace(/^\/+|\/+$/g, '')
+	const to = String(toPrefix || '').replace(/^\/+|\/+$/g, '')
+	if (!from) return null
+
+	const lower = path.toLowerCase()
+	const prefix = from.toLowerCase()
+	if (lower !== prefix && !lower.startsWith(prefix + PATH_SEPARATOR)) return null
+
+	const rest = path.slice(from.length).replace(/^\//, '')
+	return [to, rest].filter(Boolean).join(PATH_SEPARATOR)
+}
+
+// ============================================================================
+// Rewriting
+// ============================================================================
+
+/**
+ * Create a URI mapper that moves folder URIs to another account base
+ * and optionally remaps a path prefix
+ * @param {Object} options - Rebase options
+ * @param {string} options.toBase - Target base URI
+ * @param {string} [options.fromBase] - Only rewrite URIs with this base (default: all)
+ * @param {string} [options.fromPrefix] - Path prefix to replace
+ * @param {string} [options.toPrefix] - Replacement path prefix
+ * @returns {Function} Mapper uri -> uri
+ */
+export const rebaseMapper = ({ toBase, fromBase, fromPrefix, toPrefix }) => (uri) => {
+	const parts = splitFolderUri(uri)
+	if (!parts) return uri
+	if (fromBase && parts.base.toLowerCase() !== normalizeBase(fromBase).toLowerCase()) return uri
+
+	const base = toBase ? normalizeBase(toBase) : parts.base
+	const remapped = fromPrefix ? remapPathPrefix(parts.path, fromPrefix, toPrefix) : null
+
+	return remapped !== null
+		? buildFullUri(base)(remapped)
+		: `${base}${PATH_SEPARATOR}${parts.rawPath}`
+}
+
+/**
+ * Plan URI rewrites for every folder action of a file model
+ * @param {Object} file - File model from RuleFile
+ * @param {Function} mapUri - Mapper uri -> uri
+ * @returns {Array<Object>} Per-rule changes {index, name, line, changes: [{type, from, to}]}
+ */
+export const planRewrite = (file, mapUri) => {
+	return file.rules
+		.map((rule, index) => ({
+			index,
+			name: rule.name,
+			line: rule.line,
+			changes: rule.actions
+				.filter(a => isFolderAction(a) && a.value)
+				.map(a => ({ type: a.type, from: a.value, to: mapUri(a.value) }))
+				.filter(c => c.from !== c.to)
+		}))
+		.filter(entry => entry.changes.length > 0)
+}
+
+/**
+ * Apply a URI mapper to every folder action of a file model
+ * @param {Object} file - File model from RuleFile
+ * @param {Function} mapUri - Mapper uri -> uri
+ * @returns {Object} New file model (untouched rules keep their original text)
+ */
+export const applyRewrite = (file, mapUri) => ({
+	...file,
+	rules: file.rules.map(rule => {
+		const actions = rule.actions.map(a => {
+			if (!isFolderAction(a) || !a.value) return a
+			const value = mapUri(a.value)
+			return value === a.value ? a : { ...a, value }
+		})
+		return actions.some((a, i) => a !== rule.actions[i]) ? { ...rule, actions } : rule
+	})
+})
+
+/**
+ * Rewrite all folder URIs of a rules file
+ * @param {string} content - Rules file content
+ * @param {Function} mapUri - Mapper uri -> uri
+ * @returns {Object} {content, preview}
+ */
+export const rewriteRules = (content, mapUri) => {
+	const file = parseFile(content)
+
+	return {
+		content: serializeFile(applyRewrite(file, mapUri)),
+		preview: planRewrite(file, mapUri)
+	}
+}
+
+/**
+ * Rebase all folder URIs of a rules file
+ * @param {string} content - Rules file content
+ * @param {Object} options - See rebaseMapper
+ * @returns {Object} {content, preview}
+ */
+export const rebaseRules = (content, options) => rewriteRules(content, rebaseMapper(options))
+
+/**
+ * Create a URI mapper escaping the server hierarchy delimiter inside names
+ * @param {string} delimiter - Server hierarchy delimiter
+ * @returns {Function} Mapper uri -> uri
+ */
+export const escapeMapper = (delimiter) => (uri) => {
+	const parts = splitFolderUri(uri)
+	if (!parts) return uri
+
+	const escaped = escapePath(delimiter)(parts.path)
+	return escaped === parts.path ? uri : buildFullUri(parts.base)(escaped)
+}
+
+/**
+ * Escape the server hierarchy delimiter in all folder URIs of a rules file
+ * @param {string} content - Rules file content
+ * @param {string} delimiter - Server hierarchy delimiter
+ * @returns {Object} {content, preview}
+ */
+export const escapeRuleUris = (content, delimiter) => rewriteRules(content, escapeMapper(delimiter))
+
+// ============================================================================
+// Folder Path Changes
+// ============================================================================
+
+/**
+ * Create a URI mapper for one folder rename/move. Only URIs of the renamed
+ * folder's account are touched; a change without a known base maps nothing.
+ * @param {Object} change - Path change {from, to, fromBase, toBase}
+ * @returns {Function} Mapper uri -> uri
+ */
+const changeMapper = ({ from, to, fromBase, toBase }) => (uri) => {
+	const parts = splitFolderUri(uri)
+	if (!parts || !fromBase || parts.base.toLowerCase() !== normalizeBase(fromBase).toLowerCase()) return uri
+
+	const remapped = remapPathPrefix(parts.path, from, to)
+	return remapped === null ? uri : buildFullUri(normalizeBase(toBase || fromBase))(remapped)
+}
+
+/**
+ * Create a URI mapper replaying folder renames/moves in order
+ * @param {Array<Object>} changes - Path changes [{from, to, fromBase, toBase}]
+ * @returns {Function} Mapper uri -> uri
+ */
+export const pathChangeMapper = (changes) => {
+	const mappers = changes.map(changeMapper)
+	return (uri) => mappers.reduce((current, mapUri) => mapUri(current), uri)
+}
+
+/**
+ * Apply folder renames/moves to the folder URIs of a rules file
+ * @param {string} content - Rules file content
+ * @param {Array<Object>} changes - Path changes [{from, to, fromBase, toBase}]
+ * @returns {Object} {content, preview}
+ */
+export const applyPathChanges = (content, changes) => rewriteRules(content, pathChangeMapper(changes))
+
+/**
+ * Count rules whose folder actions point into a changed path
+ * @param {string} content - Rules file content
+ * @param {Object} change - Path change {from, to, fromBase, toBase}
+ * @returns {number} Affected rule count
+ */
+export const countAffectedRules = (content, change) => {
+	if (!content) return 0
+	return planRewrite(parseFile(content), pathChangeMapper([change])).length
+}
@@ -2,8 +2,19 @@
  * Options Page
  * Handles user preferences and settings
  */
-import { DEFAULT_CONFIG, UI_TIMEOUTS, STORAGE_AREAS } from './config/constants.js'
-import { getElementById, setChecked, setValue } from './utils/dom.js'
+import { DEFAULT_CONFIG, DEFAULT_RULE_TEMPLATE, UI_TIMEOUTS, STORAGE_AREAS, LIMITS } from './config/constants.js'
+import { getExclusions, saveExclusions } from './modules/StorageManager.js'
+import { parseExclusionLines, formatExclusionLines, addExclusions } from './modules/ExclusionRules.js'
+import { getElementById, setChecked, setValue, toggleClass } from './utils/dom.js'
+import { parseReplacementRules, formatReplacementRules } from './modules/PathSanitizer.js'
+import {
+	normalizeTemplate,
+	isCustomHeader,
+	createTemplateId,
+	parseActionLines,
+	formatActionLines,
+	unknownActionTypes
+} from './modules/RuleTemplates.js'
 
 // Use 'browser' namespace which is standard for WebExtensions
 const browserApi = (typeof browser !== 'undefined') ? browser : messenger;
@@ -15,6 +26,181 @@ const browserApi = (typeof browser !== 'undefined') ? browser : messenger;
 const getForm = () => getElementById('optionsForm')
 const getToast = () => getElementById('toast')
 
+// Rule templates being edited (saved with the other preferences)
+let templates = []
+
+// Edited exclusion text per account (accounts left alone are not rewritten on save)
+const exclusionEdits = {}
+
+// ============================================================================
+// Rule Templates
+// ============================================================================
+
+/**
+ * Get the template picked in the editor
+ * @returns {Object|undefined} Template
+ */
+const selectedTemplate = () => templates.find(t => t.id === getElementById('templateSelect').value)
+
+/**
+ * Fill the template picker
+ * @param {string} selectedId - Template to select
+ */
+const renderTemplateSelect = (selectedId) => {
+	const select = getElementById('templateSelect')
+	select.innerHTML = ''
+	templates.forEach(t => {
+		const opt = document.createElement('option')
+		opt.value = t.id
+		opt.textContent = t.name
+		select.appendChild(opt)
+	})
+	if (selectedId) select.value = selectedId
+	showTemplate(selectedTemplate())
+}
+
+/**
+ * Show a template in the editor (disabled when there is none)
+ * @param {Object|undefined} template - Template
+ */
+const showTemplate = (template) => {
+	const t = template || DEFAULT_RULE_TEMPLATE
+	const custom = isCustomHeader(t.field)
+	getElementById('templateEditor').disabled = !template
+	getElementById('btnDeleteTemplate').disabled = !template
+	setValue('templateName', template ? t.name : '')
+	setValue('templateRuleName', t.ruleName)
+	setValue('templateField', custom ? '' : t.field)
+	setValue('templateCustomHeader', custom ? t.field : '')
+	toggleClass('templateCustomHeader', 'hidden', !custom)
+	setValue('templateOperator', t.operator)
+	setValue('templateValue', t.value)
+	setValue('templateActions', formatActionLines(t.actions))
+	setChecked('templateEnabled', t.enabled)
+}
+
+/**
+ * Read the editor fields
+ * @returns {Object} Template fields (actions as typed, unknown types included)
+ */
+const readTemplateEditor = () => {
+	const field = getElementById('templateField').value || getElementById('templateCustomHeader').value.trim()
+	return {
+		name: getElementById('templateName').value.trim(),
+		ruleName: getElementById('templateRuleName').value.trim() || DEFAULT_RULE_TEMPLATE.ruleName,
+		field: field || DEFAULT_RULE_TEMPLATE.field,
+		operator: getElementById('templateOperator').value,
+		value: getElementById('templateValue').value.trim() || DEFAULT_RULE_TEMPLATE.value,
+		actions: parseActionLines(getElementById('templateActions').value),
+		enabled: getElementById('templateEnabled').checked
+	}
+}
+
+/**
+ * Store editor changes in the picked template
+ */
+const updateSelectedTemplate = () => {
+	const current = selectedTemplate()
+	if (!current) return
+
+	const updated = { ...current, ...readTemplateEditor() }
+	templates = templates.map(t => t.id === current.id ? updated : t)
+	getElementById('templateSelect').selectedOptions[0].textContent = updated.name || updated.id
+	toggleClass('templateCustomHeader', 'hidden', getElementById('templateField').value !== '')
+}
+
+/**
+ * Add a template (a copy of the built-in one) and select it
+ */
+const addTemplate = () => {
+	const id = createTemplateId([DEFAULT_RULE_TEMPLATE, ...templates])
+	templates = [...templates, { ...DEFAULT_RULE_TEMPLATE, id, name: `Template ${templates.length + 1}` }]
+	renderTemplateSelect(id)
+	getElementById('templateName').focus()
+}
+
+/**
+ * Delete the picked template
+ */
+const deleteTemplate = () => {
+	const current = selectedTemplate()
+	if (!current) return
+
+	templates = templates.filter(t => t.id !== current.id)
+	renderTemplateSelect(templates[0] && templates[0].id)
+}
+
+// ============================================================================
+// Discovery Exclusions
+// ============================================================================
+
+/**
+ * Show the exclusions of an account (unsaved edits first, stored ones otherwise)
+ * @param {string} accountId - Account ID
+ */
+const showExclusions = async (accountId) => {
+	if (!accountId) return
+	const text = exclusionEdits[accountId] ?? formatExclusionLines(await getExclusions(browserApi)(accountId))
+	setValue('exclusionRules', text)
+}
+
+/**
+ * Fill the account picker of the exclusion editor (IMAP accounts, as in discovery)
+ */
+const loadExclusionAccounts = async () => {
+	const select = getElementById('exclusionAccount')
+	const accounts = (await browserApi.accounts.list()).filter(a => a.type === 'imap')
+	select.innerHTML = ''
+	accounts.forEach(a => select.add(new Option(a.name, a.id)))
+	await showExclusions(select.value)
+}
+
+/**
+ * Export the exclusions of the picked account as a text file
+ */
+const exportExclusions = async () => {
+	const select = getElementById('exclusionAccount')
+	const { exclusions } = parseExclusionLines(getElementById('exclusionRules').value)
+	const name = (select.selectedOptions[0] ? select.selectedOptions[0].textContent : 'account').replace(/[^\w.@-]+/g, '_')
+	const url = URL.createObjectURL(new Blob([`${formatExclusionLines(exclusions)}\n`], { type: 'text/plain' }))
+	await browserApi.downloads.download({ url, filename: `exclusions-${name}.txt`, saveAs: true })
+}
+
+/**
+ * Add the exclusions of an imported text file to the picked account
+ * @param {Event} e - File input change event
+ */
+const importExclusions = async (e) => {
+	const [file] = e.target.files
+	if (!file) return
+
+	const imported = parseExclusionLines(await file.text())
+	const { exclusions } = parseExclusionLines(getElementById('exclusionRules').value)
+	const text = formatExclusionLines(addExclusions(exclusions, imported.exclusions))
+	setValue('exclusionRules', text)
+	exclusionEdits[getElementById('exclusionAccount').value] = text
+	e.target.value = ''
+
+	showToast(getToast(), imported.errors.length
+		? `Imported ${imported.exclusions.length}, skipped ${imported.errors.length} invalid`
+		: `Imported ${imported.exclusions.length}`)
+}
+
+/**
+ * Check and store every edited exclusion list
+ * @returns {Promise<Array>} Errors [{accountId, line, text, message}] (nothing is stored if any)
+ */
+const saveAllExclusions = async () => {
+	const parsed = Object.entries(exclusionEdits)
+		.map(([accountId, text]) => ({ accountId, ...parseExclusionLines(text) }))
+	const errors = parsed.flatMap(p => p.errors.map(err => ({ accountId: p.accountId, ...err })))
+	if (errors.length) return errors
+
+	await Promise.all(parsed.map(p => saveExclusions(browserApi)(p.accountId, p.exclusions)))
+	parsed.forEach(p => delete exclusionEdits[p.accountId])
+	return []
+}
+
 // ============================================================================
 // Configuration Operations
 // ============================================================================
@@ -27,6 +213,19 @@ const applyConfigToUI = (config) => {
 	setChecked('mergeCase', config.mergeCase)
 	setValue('scanLimit', config.scanLimit)
 	setValue('defaultRoot', config.defaultRoot)
+	setValue('mappingStrategy', config.mappingStrategy)
+	setValue('mappingTemplate', config.mappingTemplate)
+	setValue('subdomainLevels', config.subdomainLevels)
+	setValue('segmentReplacements', formatReplacementRules(config.segmentReplacements))
+	setChecked('asciiFolderNames', config.asciiFolderNames)
+	setValue('maxConditions', config.maxConditions)
+	setValue('domainThreshold', config.domainThreshold)
+	setChecked('backgroundScan', config.backgroundScan)
+	setValue('backgroundScanMinutes', config.backgroundScanMinutes)
+	setValue('notifyThreshold', config.notifyThreshold)
+
+	templates = (config.ruleTemplates || []).map(normalizeTemplate)
+	renderTemplateSelect(templates[0] && templates[0].id)
 	
 	// Filter Triggers
 	setChecked('optManual', config.filterManual)
@@ -56,6 +255,17 @@ const collectPreferences = () => ({
 	mergeCase: getElementById('mergeCase').checked,
 	scanLimit: parseInt(getElementById('scanLimit').value, 10),
 	defaultRoot: getElementById('defaultRoot').value.trim(),
+	mappingStrategy: getElementById('mappingStrategy').value,
+	mappingTemplate: getElementById('mappingTemplate').value.trim(),
+	subdomainLevels: parseInt(getElementById('subdomainLevels').value, 10),
+	segmentReplacements: parseReplacementRules(getElementById('segmentReplacements').value),
+	asciiFolderNames: getElementById('asciiFolderNames').checked,
+	maxConditions: Math.max(1, parseInt(getElementById('maxConditions').value, 10) || DEFAULT_CONFIG.maxConditions),
+	ruleTemplates: templates,
+	domainThreshold: Math.max(2, parseInt(getElementById('domainThreshold').value, 10) || DEFAULT_CONFIG.domainThreshold),
+	backgroundScan: getElementById('backgroundScan').checked,
+	backgroundScanMinutes: Math.max(LIMITS.MIN_BACKGROUND_MINUTES, parseInt(getElementById('backgroundScanMinutes').value, 10) || DEFAULT_CONFIG.backgroundScanMinutes),
+	notifyThreshold: Math.max(1, parseInt(getElementById('notifyThreshold').value, 10) || DEFAULT_CONFIG.notifyThreshold),
 	
 	filterManual: getElementById('optManual').checked,
 	filterNewMail: getElementById('optNewMail').checked,
@@ -89,7 +299,19 @@ async function saveOptions(e) {
 	const prefs = collectPreferences()
 	const toast = getToast()
 
+	const unknown = unknownActionTypes(prefs.ruleTemplates.flatMap(t => t.actions))
+	if (unknown.length) {
+		showToast(toast, `Unknown action: ${unknown.join(', ')}`)
+		return
+	}
+
 	try {
+		const exclusionErrors = await saveAllExclusions()
+		if (exclusionErrors.length) {
+			const [first] = exclusionErrors
+			showToast(toast, `Invalid exclusion on line ${first.line}: ${first.text}`)
+			return
+		}
 		await browserApi.storage.sync.set(prefs)
 		showToast(toast, 'Settings Saved')
 	} catch (e) {
@@ -112,6 +334,20 @@ const initializeOptions = () => {
 	if (form) {
 		form.addEventListener('submit', saveOptions)
 	}
+
+	getElementById('templateSelect').addEventListener('change', () => showTemplate(selectedTemplate()))
+	getElementById('templateEditor').addEventListener('input', updateSelectedTemplate)
+	getElementById('btnNewTemplate').addEventListener('click', addTemplate)
+	getElementById('btnDeleteTemplate').addEventListener('click', deleteTemplate)
+
+	loadExclusionAccounts().catch(console.error)
+	getElementById('exclusionAccount').addEventListener('change', e => showExclusions(e.target.value).catch(console.error))
+	getElementById('exclusionRules').addEventListener('input', e => {
+		exclusionEdits[getElementById('exclusionAccount').value] = e.target.value
+	})
+	getElementById('btnExportExclusions').addEventListener('click', () => exportExclusions().catch(console.error))
+	getElementById('btnImportExclusions').addEventListener('click', () => getElementById('exclusionFile').click())
+	getElementById('exclusionFile').addEventListener('change', e => importExclusions(e).catch(console.error))
 }
 
 document.addEventListener('DOMContentLoaded', initializeOptions)
\ No newline at end of file
@@ -3,6 +3,78 @@
  */
 import { RuleEngine } from './modules/RuleEngine.js'
 import { MailClient } from './modules/MailClient.js'
+import { parseFile, serializeFile } from './modules/RuleFile.js'
+import { serializeCondition } from './modules/ConditionParser.js'
+import { lintRules, summarizeDiagnostics } from './modules/RuleLinter.js'
+import { planMerge, applyMerge } from './modules/RuleMerge.js'
+import {
+	getBaseUris,
+	isValidBase,
+	accountBaseOf,
+	rebaseRules,
+	applyPathChanges,
+	countAffectedRules,
+	escapeRuleUris
+} from './modules/UriRewriter.js'
+import {
+	getRulesCopy,
+	saveRulesCopy,
+	getPathChanges,
+	removePathChanges,
+	getDelimiterSetting,
+	saveDelimiterSetting,
+	getRootMemory,
+	saveRootMemory,
+	getExclusions,
+	saveExclusions,
+	getFilingLog,
+	getDiscoveryQueue,
+	getPendingSenders,
+	savePendingSenders
+} from './modules/StorageManager.js'
+import { getStrategy, joinRoot } from './modules/MappingEngine.js'
+import { groupByContact, ungroup } from './modules/ContactGroups.js'
+import { consolidateRules, splitRules, isSplittable } from './modules/RuleConsolidator.js'
+import {
+	createMemory,
+	learnRoots,
+	mergeLearned,
+	setEntry,
+	removeEntry,
+	listEntries,
+	lookupRoot
+} from './modules/RootMemory.js'
+import { createSanitizer, collisionResolver, findCollisions } from './modules/PathSanitizer.js'
+import { listTemplates, findTemplate } from './modules/RuleTemplates.js'
+import { combineStats, statsFilter, compareByColumn } from './modules/SenderStats.js'
+import {
+	aggregateByDomain,
+	domainOf,
+	domainRuleDomains,
+	findCoveredRules,
+	isDomainAddress
+} from './modules/DomainAggregator.js'
+import { listPathSegments, listRuleIds } from './modules/MailingLists.js'
+import { addExclusions, compileExclusions, exclusionsForItem } from './modules/ExclusionRules.js'
+import { filingTargets } from './modules/MessageFiling.js'
+import {
+	ACTION_TYPES,
+	COLLISION_KINDS,
+	CONVERSATION_RULE_MATCH,
+	DEFAULT_CONFIG,
+	DEFAULT_RULE_TEMPLATE,
+	DOMAIN_RULE_MATCH,
+	LIST_FOLDER_ROOT,
+	LIST_RULE_MATCH,
+	MEMORY_KINDS,
+	MEMORY_ORIGINS,
+	MERGE_SIDE,
+	PATH_SEPARATOR,
+	QUEUE_HASH_PREFIX,
+	ROOT_SOURCES,
+	SCAN_MODES,
+	STORAGE_KEYS
+} from './config/constants.js'
 
 // Namespace compatibility
 const browserApi = (typeof browser !== 'undefined') ? browser : messenger;
@@ -13,9 +85,23 @@ const state = {
 	folders: [],       // Current account folder list
 	missing: [],       // Analyzed missing paths
 	discovered: [],    // Scanned emails {email, path, selected}
+	discoverySource: 'scan', // 'scan' (messages) or 'folders' (reverse mapping)
+	scanMode: SCAN_MODES.SENDERS, // Addresses the last scan collected (SCAN_MODES)
+	ruleFile: null,    // Parsed rules file model (RuleFile)
+	merge: { plan: null, resolutions: {} }, // Pending merge of generated rules
+	rebase: null,      // Pending account rebase {content, preview}
+	consolidation: null, // Pending consolidate/split {content, preview, before, after}
+	pathChanges: [],   // Folder renames/moves affecting the rules
+	pending: [],       // Senders of new mail no rule files yet {email, count, lastSeen, path}
+	memory: createMemory(), // Remembered email/domain -> root of the current account
+	exclusions: [],    // Discovery exclusions {kind, pattern} of the current account
+	filing: null,      // Targets of the last folder creation from discovery [{path, emails, domains, lists}]
+	contacts: null,    // Address-book contacts {id, name, emails}, loaded on first grouping
+	accounts: [],      // IMAP accounts
 	sort: { col: 'email', dir: 1 },
 	currentAccount: null, // Current account object with identities
-	accountBaseUri: null, // imap://user@host from current account
+	accountBaseUri: null, // Folder base URI of the current account (null if unknown)
+	delimiter: '/',    // IMAP hierarchy delimiter of the current account
 	config: {          // Loaded from Storage
 		scanLimit: 500,
 		mergeCase: true,
@@ -25,7 +111,15 @@ const state = {
 		filterNewMail: true,
 		filterSending: false,
 		filterArchive: false,
-		filterPeriodic: false
+		filterPeriodic: false,
+		mappingStrategy: 'reversed-domain-user',
+		mappingTemplate: '{tld}/{sld}/{local}',
+		subdomainLevels: 1,
+		segmentReplacements: DEFAULT_CONFIG.segmentReplacements,
+		asciiFolderNames: false,
+		maxConditions: 25,
+		ruleTemplates: [],
+		domainThreshold: 3
 	}
 }
 
@@ -35,6 +129,11 @@ const setStatus = (id, msg, type = 'info') => {
 	if (el) el.innerHTML = `<div class="status ${type}">${msg}</div>`
 }
 
+const downloadRules = async (text) => {
+	const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }))
+	await browserApi.downloads.download({ url, filename: 'msgFilterRules.dat', saveAs: true })
+}
+
 const updateStat = (id, val) => {
 	const el = $(id)
 	if (el) el.textContent = val
@@ -50,6 +149,102 @@ const getFilterTypeMask = () => {
 	});
 };
 
+// Folder base URI of an account ("imap://user%40example.com@imap.example.com"). The mail API
+// exposes no server details, so it comes from the rules last loaded for the account;
+// null unless they name exactly one valid base of the account's kind
+const getAccountBaseUri = async (account) => {
+	const stored = await getRulesCopy(browserApi)(account.id)
+	return stored ? accountBaseOf(stored.content, account.type) : null
+}
+
+// Base URI of generated rules: the one of the current rules if available, the account's otherwise
+const ruleBaseUri = () => {
+	const rulesBase = RuleEngine.extractBaseUri($('pasteInput').value)
+	return (rulesBase && rulesBase !== "imap://REPLACE_ME") ? rulesBase : (state.accountBaseUri || "imap://REPLACE_ME")
+}
+
+const getActiveSanitizer = () => createSanitizer({
+	replacements: state.config.segmentReplacements,
+	asciiOnly: state.config.asciiFolderNames,
+	delimiter: state.delimiter
+})
+
+const getActiveStrategy = () => getStrategy(
+	$('pathStrategy').value,
+	$('pathTemplate').value,
+	state.config.subdomainLevels,
+	getActiveSanitizer()
+)
+
+const describeCollision = (collision) => browserApi.i18n.getMessage(
+	collision.kind === COLLISION_KINDS.NORMALIZATION ? 'collisionNormalization' : 'collisionCase',
+	[collision.variants.join(' ≠ ')]
+)
+
+const ROOT_SOURCE_LABELS = {
+	[ROOT_SOURCES.EMAIL]: 'rootSourceEmail',
+	[ROOT_SOURCES.DOMAIN]: 'rootSourceDomain',
+	[ROOT_SOURCES.DEFAULT]: 'rootSourceDefault'
+}
+
+// Path for a sender: remembered root first, the target root field otherwise
+const proposePath = (strategy, email) => {
+	const suffix = strategy.toPath(email)
+	if (!suffix) return null
+	const { root, source } = lookupRoot(state.memory, email, $('targetRoot').value.trim())
+	return { path: joinRoot(root, suffix), source }
+}
+
+// Contact groups are named after the contact or after one chosen address
+const proposeGroupPath = (strategy, group) => {
+	if (group.folderBy) return proposePath(strategy, group.folderBy)
+	const { root, source } = lookupRoot(state.memory, group.email, $('targetRoot').value.trim())
+	return { path: joinRoot(root, getActiveSanitizer()(group.contact.name)), source }
+}
+
+// Domain items get the sender folder without its user level
+const proposeDomainPath = (strategy, item) => {
+	const suffix = strategy.toDomainPath(item.domain)
+	if (!suffix) return null
+	const { root, source } = lookupRoot(state.memory, item.email, $('targetRoot').value.trim())
+	return { path: joinRoot(root, suffix), source }
+}
+
+// Mailing lists get their own tree, one folder per list
+const proposeListPath = (item) => {
+	const segments = listPathSegments(item.list.id).map(getActiveSanitizer())
+	return { path: joinRoot(LIST_FOLDER_ROOT, segments.join(PATH_SEPARATOR)), source: null }
+}
+
+const withProposedPath = (strategy) => (item) => {
+	const proposed = item.list ? proposeListPath(item)
+		: item.domain ? proposeDomainPath(strategy, item)
+		: item.emails ? proposeGroupPath(strategy, item)
+		: proposePath(strategy, item.email)
+	return { ...item, path: proposed ? proposed.path : '', source: proposed && proposed.source }
+}
+
+const applyStrategyConfig = () => {
+	$('pathStrategy').value = state.config.mappingStrategy
+	$('pathTemplate').value = state.config.mappingTemplate
+	$('pathTemplate').disabled = $('pathStrategy').value !== 'template'
+}
+
+// Fill the rule template picker (keeps the current pick while it exists)
+const renderTemplateOptions = () => {
+	const select = $('ruleTemplate')
+	const current = select.value
+	select.innerHTML = ''
+	listTemplates(state.config.ruleTemplates).forEach(t => {
+		const opt = document.createElement('option')
+		opt.value = t.id
+		opt.textContent = t.id === DEFAULT_RULE_TEMPLATE.id ? browserApi.i18n.getMessage('ruleTemplateDefault') : t.name
+		opt.title = `${t.ruleName}: ${t.field} ${t.operator} ${t.value}`
+		select.appendChild(opt)
+	})
+	if ([...select.options].some(o => o.value === current)) select.value = current
+}
+
 // Account/Rules Validation
 function validateAccountRulesMatch() {
 	const pasteInput = $('pasteInput')
@@ -80,17 +275,28 @@ async function loadConfig() {
 			filterNewMail: true,
 			filterSending: false,
 			filterArchive: false,
-			filterPeriodic: false
+			filterPeriodic: false,
+			mappingStrategy: 'reversed-domain-user',
+			mappingTemplate: '{tld}/{sld}/{local}',
+			subdomainLevels: 1,
+			segmentReplacements: DEFAULT_CONFIG.segmentReplacements,
+			asciiFolderNames: false,
+			maxConditions: 25,
+			ruleTemplates: [],
+			domainThreshold: 3
 		})
 		state.config = saved
 		
 		// Apply to UI
 		if($('mergeCase')) $('mergeCase').checked = state.config.mergeCase
 		if($('targetRoot') && !$('targetRoot').value) $('targetRoot').value = state.config.defaultRoot
+		applyStrategyConfig()
+		renderTemplateOptions()
+		$('consolidateMax').value = state.config.maxConditions
+		$('domainThreshold').value = state.config.domainThreshold
 		
 		// Update scan button text to reflect limit
-		const btnScan = $('btnScan')
-		if(btnScan) btnScan.textContent = browserApi.i18n.getMessage('scanAndDiscoverLimit', [state.config.scanLimit])
+		updateScanButton()
 
 	} catch (e) {
 		console.error("Failed to load config", e)
@@ -108,29 +314,52 @@ async function loadAccount(id) {
 	// Store account object and construct base URI
 	try {
 		state.currentAccount = await browserApi.accounts.get(id)
-		if (state.currentAccount.identities && state.currentAccount.identities.length > 0) {
-			const email = state.currentAccount.identities[0].email
-			state.accountBaseUri = `imap://${email}`
-		} else {
-			state.accountBaseUri = "imap://REPLACE_ME"
-		}
+		state.accountBaseUri = await getAccountBaseUri(state.currentAccount)
 	} catch (e) {
 		console.error("Failed to get account details", e)
-		state.accountBaseUri = "imap://REPLACE_ME"
+		state.accountBaseUri = null
 	}
 
 	updateStat('statTotal', data.total)
 	updateStat('statLeafs', data.leafs)
 
+	// Hierarchy delimiter: configured per account, detected otherwise
+	const delimiterSel = $('hierarchyDelimiter')
+	const delimiterSetting = await getDelimiterSetting(browserApi)(id)
+	delimiterSel.value = delimiterSetting
+	delimiterSel.options[0].textContent = browserApi.i18n.getMessage('delimiterDetected', [MailClient.detectDelimiter(state.folders)])
+	state.delimiter = MailClient.resolveDelimiter(delimiterSetting, state.folders)
+
 	const sel = $('scanSource')
 	if (sel) {
 		sel.innerHTML = ''
 		state.folders.forEach(f => {
 			const opt = new Option('—'.repeat(f.depth) + ' ' + f.name, f.id)
-			if (f.name === 'Inbox') opt.selected = true
+			opt.dataset.use = f.specialUse.includes('sent') ? 'sent' : f.name === 'Inbox' ? 'inbox' : ''
 			sel.add(opt)
 		})
+		selectScanSourceForMode()
 	}
+
+	const moveSel = $('moveFolderFrom')
+	if (moveSel) {
+		moveSel.innerHTML = ''
+		state.folders
+			.filter(f => f.cleanPath)
+			.forEach(f => moveSel.add(new Option(f.cleanPath, f.cleanPath)))
+	}
+
+	// Show the rules stored for this account, never those of the previous one
+	const stored = await getRulesCopy(browserApi)(id)
+	$('pasteInput').value = (stored && stored.content) || ''
+	updateRuleStats($('pasteInput').value)
+
+	state.exclusions = await getExclusions(browserApi)(id)
+	await renderUndoFiling()
+	await renderPathChanges()
+	await learnRootMemory(id, $('pasteInput').value)
+	$('statusPending').innerHTML = ''
+	await renderPendingSenders()
 }
 
 function updateRuleStats(text) {
@@ -141,24 +370,487 @@ function updateRuleStats(text) {
 
 	const btn = $('btnAnalyze')
 	if (btn) btn.disabled = !($('account').value && text)
+
+	state.ruleFile = text ? parseFile(text) : null
+	renderRuleList()
+	renderDiagnostics(text)
+	renderRebaseSources(text)
+	resetConsolidation()
+}
+
+// Store the rules text as the account's copy, read by background discovery and new-mail
+// detection; only done on explicit changes, not on every keystroke
+function commitRules() {
+	const accountId = $('account').value
+	const text = $('pasteInput').value
+	if (!text || !accountId) return Promise.resolve()
+	return Promise.all([
+		saveRulesCopy(browserApi)(accountId, text),
+		learnRootMemory(accountId, text)
+	]).catch(console.error)
+}
+
+// Replace the rules text from an action (apply, merge, sort, ...) and commit it
+function setRules(text) {
+	$('pasteInput').value = text
+	updateRuleStats(text)
+	return commitRules()
+}
+
+// --- Root Memory ---
+// Memory writes run one after another on the stored memory, so a learning pass
+// and a hand edit never overwrite each other with a stale snapshot
+let memoryWrites = Promise.resolve()
+
+function writeMemory(accountId, update) {
+	const run = memoryWrites.then(async () => {
+		const memory = update(await getRootMemory(browserApi)(accountId))
+		await saveRootMemory(browserApi)(accountId, memory)
+		if ($('account').value === accountId) {
+			state.memory = memory
+			renderMemory()
+		}
+	})
+	memoryWrites = run.catch(() => {})
+	return run
+}
+
+// Learn from the committed rules text of an account and the folders loaded for it
+function learnRootMemory(accountId, text) {
+	if (!accountId) return Promise.resolve()
+
+	const strategy = getActiveStrategy()
+	const learned = learnRoots({
+		rules: RuleEngine.parse(text),
+		folders: state.folders,
+		roots: [$('targetRoot').value.trim(), state.config.defaultRoot].filter(Boolean),
+		toPath: strategy.toPath,
+		toAddress: strategy.toAddress
+	})
+	return writeMemory(accountId, memory => mergeLearned(memory, learned))
+}
+
+async function updateMemory(update) {
+	await writeMemory($('account').value, update)
+	refreshDiscoveryPaths()
+}
+
+function renderMemoryEntry(entry) {
+	const row = document.createElement('div')
+	row.className = `memory-entry ${entry.origin}`
+
+	const kind = document.createElement('span')
+	kind.className = 'kind'
+	kind.textContent = browserApi.i18n.getMessage(entry.kind === MEMORY_KINDS.DOMAIN ? 'memoryKindDomain' : 'memoryKindEmail')
+
+	const key = document.createElement('span')
+	key.textContent = entry.key
+
+	const root = document.createElement('input')
+	root.type = 'text'
+	root.value = entry.root
+	root.onchange = () => updateMemory(memory => setEntry(memory, entry.kind, entry.key, root.value)).catch(console.error)
+
+	const origin = document.createElement('span')
+	origin.className = 'origin'
+	origin.textContent = browserApi.i18n.getMessage(entry.origin === MEMORY_ORIGINS.MANUAL ? 'memoryOriginManual' : 'memoryOriginLearned')
+
+	const btnRemove = document.createElement('button')
+	btnRemove.type = 'button'
+	btnRemove.className = 'icon-button close'
+	btnRemove.title = browserApi.i18n.getMessage('removeMemoryBtn')
+	btnRemove.textContent = '×'
+	btnRemove.onclick = () => updateMemory(memory => removeEntry(memory, entry.kind, entry.key)).catch(console.error)
+
+	row.append(kind, key, root, origin, btnRemove)
+	return row
+}
+
+function renderMemory() {
+	const list = $('memoryList')
+	if (!list) return
+
+	const filter = $('memoryFilter').value.trim().toLowerCase()
+	const entries = listEntries(state.memory)
+		.filter(e => !filter || e.key.includes(filter) || e.root.toLowerCase().includes(filter))
+
+	list.innerHTML = ''
+	list.classList.toggle('empty-state', entries.length === 0)
+	if (entries.length === 0) {
+		list.textContent = browserApi.i18n.getMessage('memoryEmpty')
+		return
+	}
+
+	entries.forEach(entry => list.appendChild(renderMemoryEntry(entry)))
+}
+
+// --- Folder Changes ---
+async function getCurrentRules(accountId) {
+	const text = $('pasteInput').value
+	if (text) return text
+	const stored = await getRulesCopy(browserApi)(accountId)
+	return stored ? stored.content : ''
+}
+
+async function renderPathChanges() {
+	const card = $('pathChanges')
+	const accountId = $('account').value
+	if (!card || !accountId) return
+
+	// Counted against the account's own stored rules; changes affecting none stay
+	// recorded but hidden until applied or dismissed
+	const changes = await getPathChanges(browserApi)(accountId)
+	const stored = await getRulesCopy(browserApi)(accountId)
+	let text = stored ? stored.content : ''
+
+	// Count in order so chained renames see the earlier ones applied
+	const counted = changes.map(change => {
+		const affected = countAffectedRules(text, change)
+		if (affected) text = applyPathChanges(text, [change]).content
+		return { ...change, affected }
+	})
+
+	state.pathChanges = counted.filter(c => c.affected > 0)
+	card.classList.toggle('hidden', state.pathChanges.length === 0)
+
+	const list = $('pathChangeList')
+	list.innerHTML = ''
+	state.pathChanges.forEach(c => {
+		const row = document.createElement('div')
+		row.className = 'path-change'
+		row.textContent = browserApi.i18n.getMessage('pathChangeItem', [c.from, c.to, c.affected])
+		list.appendChild(row)
+	})
+}
+
+async function resolvePathChanges(apply) {
+	const accountId = $('account').value
+	const changes = state.pathChanges
+
+	if (apply) {
+		const { content } = applyPathChanges(await getCurrentRules(accountId), changes)
+		await setRules(content)
+	}
+
+	await removePathChanges(browserApi)(accountId, changes.map(c => c.id))
+	await renderPathChanges()
+}
+
+// --- Pending Suggestions ---
+// Senders of new mail that no rule files yet, recorded by the background page
+async function renderPendingSenders() {
+	const card = $('pendingSenders')
+	const accountId = $('account').value
+	if (!card || !accountId) return
+
+	state.pending = proposePendingPaths(await getPendingSenders(browserApi)(accountId))
+	// Stay open after the last approval so its status can be read
+	card.classList.toggle('hidden', state.pending.length === 0 && !$('statusPending').hasChildNodes())
+	$('btnApproveAllPending').disabled = !state.pending.some(i => i.path)
+	$('btnDismissAllPending').disabled = state.pending.length === 0
+
+	const list = $('pendingList')
+	list.innerHTML = ''
+	state.pending.forEach(item => list.appendChild(renderPendingSender(item)))
 }
 
+// Proposed folders, aligned with existing folder names like discovery paths
+function proposePendingPaths(senders) {
+	const items = senders.map(withProposedPath(getActiveStrategy()))
+	const existing = state.folders.map(f => f.cleanPath)
+	const resolve = collisionResolver(items.map(i => i.path).filter(Boolean), existing)
+	return items.map(item => ({ ...item, path: item.path ? resolve(item.path) : '' }))
+}
+
+function renderPendingSender(item) {
+	const row = document.createElement('div')
+	row.className = item.path ? 'pending-sender' : 'pending-sender no-path'
+
+	const email = document.createElement('span')
+	email.className = 'email'
+	email.textContent = item.email
+
+	const count = document.createElement('span')
+	count.className = 'stat'
+	count.textContent = browserApi.i18n.getMessage('pendingCount', [item.count])
+	if (item.lastSeen) count.title = browserApi.i18n.getMessage('pendingLastSeen', [new Date(item.lastSeen).toLocaleString()])
+
+	const path = document.createElement('span')
+	path.className = 'path'
+	path.textContent = item.path || browserApi.i18n.getMessage('pendingNoPath')
+
+	const btnApprove = document.createElement('button')
+	btnApprove.type = 'button'
+	btnApprove.className = 'link-button'
+	btnApprove.textContent = browserApi.i18n.getMessage('approvePendingBtn')
+	btnApprove.disabled = !item.path
+	btnApprove.onclick = () => approvePending([item], btnApprove).catch(console.error)
+
+	const btnDismiss = document.createElement('button')
+	btnDismiss.type = 'button'
+	btnDismiss.className = 'icon-button close'
+	btnDismiss.title = browserApi.i18n.getMessage('dismissPendingBtn')
+	btnDismiss.textContent = '×'
+	btnDismiss.onclick = () => dismissPending([item.email]).catch(console.error)
+
+	row.append(email, count, path, btnApprove, btnDismiss)
+	return row
+}
+
+// One click: create the folders, merge the rules into the current rules, drop the senders from the list
+async function approvePending(items, btn) {
+	const accountId = $('account').value
+	const approved = items.filter(i => i.path)
+	if (!accountId || approved.length === 0) return
+
+	await runCreate([...new Set(approved.map(i => i.path))], 'statusPending', btn)
+
+	const picked = findTemplate(listTemplates(state.config.ruleTemplates), $('ruleTemplate').value)
+	const genBlock = RuleEngine.generateBlock(ruleBaseUri(), state.delimiter, picked)
+	const incoming = approved.map(i => genBlock(i.email, i.path, getFilterTypeMask(), [])).join('\n')
+	const content = serializeFile(applyMerge(planMerge(await getCurrentRules(accountId), incoming)))
+	setRules(content)
+
+	setStatus('statusPending', browserApi.i18n.getMessage('pendingApproved', [approved.length]), 'success')
+	await dismissPending(approved.map(i => i.email))
+}
+
+async function dismissPending(emails) {
+	const accountId = $('account').value
+	const drop = new Set(emails)
+	const pending = await getPendingSenders(browserApi)(accountId)
+	await savePendingSenders(browserApi)(accountId, pending.filter(s => !drop.has(s.email)))
+	await renderPendingSenders()
+}
+
+// --- Diagnostics ---
+function jumpToLine(line) {
+	const input = $('pasteInput')
+	const lines = input.value.split('\n')
+	const start = lines.slice(0, line - 1).reduce((n, l) => n + l.length + 1, 0)
+	const end = start + (lines[line - 1] || '').length
+
+	input.focus()
+	input.setSelectionRange(start, end)
+	const lineHeight = parseFloat(getComputedStyle(input).lineHeight) || 16
+	input.scrollTop = Math.max(0, (line - 3) * lineHeight)
+}
+
+function renderDiagnostics(text) {
+	const box = $('ruleDiagnostics')
+	if (!box) return
+
+	const diagnostics = lintRules(text)
+	box.innerHTML = ''
+	box.classList.toggle('hidden', diagnostics.length === 0)
+	if (diagnostics.length === 0) return
+
+	const { errors, warnings } = summarizeDiagnostics(diagnostics)
+	const summary = document.createElement('div')
+	summary.className = 'diagnostics-summary'
+	summary.textContent = browserApi.i18n.getMessage('lintSummary', [errors, warnings])
+	box.appendChild(summary)
+
+	diagnostics.forEach(d => {
+		const row = document.createElement('div')
+		row.className = `diagnostic ${d.severity}`
+
+		const link = document.createElement('button')
+		link.type = 'button'
+		link.className = 'link-button'
+		link.textContent = browserApi.i18n.getMessage('jumpToLine', [d.line])
+		link.onclick = () => jumpToLine(d.line)
+
+		const msg = document.createElement('span')
+		msg.textContent = d.message
+
+		row.append(link, msg)
+		box.appendChild(row)
+	})
+}
+
+// --- Rule Editor ---
+function commitRuleFile() {
+	const text = serializeFile(state.ruleFile)
+	setRules(text)
+}
+
+function updateAction(rule, index, changes) {
+	rule.actions = rule.actions.map((a, i) => i === index ? { ...a, ...changes } : a)
+	commitRuleFile()
+}
+
+function renderActionRow(rule, action, index) {
+	const row = document.createElement('div')
+	row.className = 'rule-action'
+
+	const typeSel = document.createElement('select')
+	const types = Object.values(ACTION_TYPES)
+	if (!types.includes(action.type)) types.push(action.type)
+	types.forEach(t => typeSel.add(new Option(t, t, false, t === action.type)))
+	typeSel.onchange = () => updateAction(rule, index, {
+		type: typeSel.value,
+		value: RuleEngine.actionHasValue(typeSel.value) ? (action.value || '') : undefined
+	})
+
+	const valueInput = document.createElement('input')
+	valueInput.type = 'text'
+	valueInput.value = action.value || ''
+	valueInput.disabled = !RuleEngine.actionHasValue(action.type)
+	valueInput.onchange = () => updateAction(rule, index, { value: valueInput.value })
+
+	const btnRemove = document.createElement('button')
+	btnRemove.type = 'button'
+	btnRemove.className = 'icon-button close'
+	btnRemove.title = browserApi.i18n.getMessage('removeActionBtn')
+	btnRemove.textContent = '×'
+	btnRemove.onclick = () => {
+		rule.actions = rule.actions.filter((_, i) => i !== index)
+		commitRuleFile()
+	}
+
+	row.append(typeSel, valueInput, btnRemove)
+	return row
+}
+
+function renderRuleItem(rule, coveredBy) {
+	const item = document.createElement('div')
+	item.className = `rule-item ${rule.enabled ? '' : 'disabled'} ${coveredBy ? 'redundant' : ''}`
+
+	const name = document.createElement('div')
+	name.className = 'rule-name'
+	name.textContent = rule.enabled ? rule.name : `${rule.name} ${browserApi.i18n.getMessage('ruleDisabled')}`
+
+	const cond = document.createElement('div')
+	cond.className = 'rule-condition'
+	cond.textContent = rule.condition ? serializeCondition(rule.condition) : ''
+
+	item.append(name, cond)
+	if (coveredBy) {
+		const note = document.createElement('div')
+		note.className = 'rule-redundant'
+		note.textContent = browserApi.i18n.getMessage('ruleRedundant', [coveredBy.name])
+		item.appendChild(note)
+	}
+	rule.actions.forEach((action, i) => item.appendChild(renderActionRow(rule, action, i)))
+
+	if (isSplittable(rule)) {
+		const btnSplit = document.createElement('button')
+		btnSplit.type = 'button'
+		btnSplit.className = 'link-button'
+		btnSplit.textContent = browserApi.i18n.getMessage('splitRuleBtn')
+		btnSplit.onclick = () => {
+			renderConsolidatePreview(splitRules($('pasteInput').value, [state.ruleFile.rules.indexOf(rule)]))
+			$('consolidateArea').scrollIntoView({ behavior: 'smooth' })
+		}
+		item.appendChild(btnSplit)
+	}
+
+	const btnAdd = document.createElement('button')
+	btnAdd.type = 'button'
+	btnAdd.className = 'link-button'
+	btnAdd.textContent = browserApi.i18n.getMessage('addActionBtn')
+	btnAdd.onclick = () => {
+		rule.actions = [...rule.actions, { type: ACTION_TYPES.MARK_READ }]
+		commitRuleFile()
+	}
+	item.appendChild(btnAdd)
+
+	return item
+}
+
+function renderRuleList() {
+	const list = $('ruleList')
+	if (!list) return
+
+	const rules = state.ruleFile ? state.ruleFile.rules : []
+	list.innerHTML = ''
+	list.classList.toggle('empty-state', rules.length === 0)
+
+	if (rules.length === 0) {
+		list.textContent = browserApi.i18n.getMessage('noRulesLoaded')
+		return
+	}
+
+	const covered = findCoveredRules(rules)
+	rules.forEach(rule => list.appendChild(renderRuleItem(rule, covered.get(rule))))
+}
+
+// Discovered items passing the count and last-seen filters
+function visibleDiscovered() {
+	const lastSeen = $('filterLastSeen').value
+	return state.discovered.filter(statsFilter({
+		minCount: parseInt($('filterMinCount').value, 10) || 0,
+		lastSeenAfter: lastSeen ? new Date(`${lastSeen}T00:00:00`).getTime() : 0
+	}))
+}
+
+const formatDay = (time) => typeof time === 'number' ? new Date(time).toLocaleDateString() : ''
+
 function renderDiscovery() {
 	const list = $('discoveryList')
 	list.innerHTML = ''
 
-	state.discovered.sort((a, b) => {
-		const va = a[state.sort.col] || '', vb = b[state.sort.col] || ''
-		return va.localeCompare(vb) * state.sort.dir
+	state.discovered.sort(compareByColumn(state.sort.col, state.sort.dir))
+	document.querySelectorAll('.sortable').forEach(el => {
+		el.classList.toggle('sorted-asc', el.dataset.sort === state.sort.col && state.sort.dir === 1)
+		el.classList.toggle('sorted-desc', el.dataset.sort === state.sort.col && state.sort.dir === -1)
 	})
 
-	state.discovered.forEach((item, i) => {
+	const rules = RuleEngine.parse($('pasteInput').value)
+	const visible = visibleDiscovered()
+	$('filterSummary').textContent = browserApi.i18n.getMessage('filterSummary', [visible.length, state.discovered.length])
+
+	visible.forEach((item, i) => {
 		const row = document.createElement('div')
 		row.className = `discovery-item ${item.selected ? 'selected' : ''}`
 		row.innerHTML = `
 			<input type="checkbox" ${item.selected ? 'checked' : ''}>
 			<div class="email">${item.email}</div>
+			<div class="stat count"></div>
+			<div class="stat first-seen"></div>
+			<div class="stat last-seen"></div>
+			<div class="stat unread"></div>
+			<div class="stat folders"></div>
 			<div class="path">${item.path}</div>`
+		if (item.count !== undefined) {
+			const folders = item.folders || []
+			row.querySelector('.count').textContent = item.count
+			row.querySelector('.first-seen').textContent = formatDay(item.firstSeen)
+			row.querySelector('.last-seen').textContent = formatDay(item.lastSeen)
+			row.querySelector('.unread').textContent = item.unread
+			row.querySelector('.folders').textContent = folders.length > 1 ? browserApi.i18n.getMessage('folderCount', [folders.length]) : folders.join('')
+			row.querySelector('.folders').title = folders.join('\n')
+		}
+		if (item.emails) row.querySelector('.email').replaceWith(renderContactCell(item))
+		if (item.domain) row.querySelector('.email').replaceWith(renderDomainCell(item, rules))
+		if (item.list) row.querySelector('.email').replaceWith(renderListCell(item))
+		if (item.bulk) {
+			const badge = document.createElement('span')
+			badge.className = 'bulk-badge'
+			badge.textContent = browserApi.i18n.getMessage('bulkBadge')
+			badge.title = browserApi.i18n.getMessage('bulkBadgeHint')
+			row.querySelector('.email').appendChild(badge)
+		}
+		const btnIgnore = document.createElement('button')
+		btnIgnore.type = 'button'
+		btnIgnore.className = 'link-button never-suggest'
+		btnIgnore.textContent = browserApi.i18n.getMessage('neverSuggestBtn')
+		btnIgnore.onclick = e => {
+			e.stopPropagation()
+			neverSuggest(item).catch(console.error)
+		}
+		row.querySelector('.email').appendChild(btnIgnore)
+		if (item.source) {
+			const source = document.createElement('span')
+			source.className = 'root-source'
+			source.textContent = browserApi.i18n.getMessage(ROOT_SOURCE_LABELS[item.source])
+			row.querySelector('.path').appendChild(source)
+		}
+		if (item.adjusted) {
+			row.classList.add('adjusted')
+			row.title = browserApi.i18n.getMessage('pathAdjusted')
+		}
 
 		const toggle = () => {
 			item.selected = !item.selected
@@ -170,7 +862,7 @@ function renderDiscovery() {
 		list.appendChild(row)
 	})
 
-	const selected = state.discovered.filter(i => i.selected)
+	const selected = visible.filter(i => i.selected)
 	const btnCreate = $('btnCreateDiscovered')
 	const btnGen = $('btnGenRules')
 
@@ -181,11 +873,297 @@ function renderDiscovery() {
 	if (btnGen) btnGen.disabled = selected.length === 0
 
 	const selectAll = $('selectAllDiscovery')
-	if (selectAll) selectAll.checked = state.discovered.length > 0 && state.discovered.every(i => i.selected)
+	if (selectAll) selectAll.checked = visible.length > 0 && visible.every(i => i.selected)
 
 	$('discoveryResults').classList.remove('hidden')
 }
 
+function renderContactCell(group) {
+	const cell = document.createElement('div')
+	cell.className = 'email'
+	cell.textContent = group.contact.name || group.email
+
+	const addresses = document.createElement('div')
+	addresses.className = 'contact-addresses'
+	addresses.textContent = group.emails.join(', ')
+
+	const folderBy = document.createElement('select')
+	folderBy.add(new Option(browserApi.i18n.getMessage('folderNamedAfter', [group.contact.name]), '', false, !group.folderBy))
+	group.emails.forEach(email => folderBy.add(new Option(browserApi.i18n.getMessage('folderNamedAfter', [email]), email, false, email === group.folderBy)))
+	if (!group.contact.name) folderBy.remove(0)
+	folderBy.onclick = e => e.stopPropagation()
+	folderBy.onchange = () => {
+		group.folderBy = folderBy.value
+		refreshDiscoveryPaths()
+	}
+
+	cell.append(addresses, folderBy)
+	return cell
+}
+
+function renderDomainCell(item, rules) {
+	const cell = document.createElement('div')
+	cell.className = 'email'
+	cell.textContent = item.email
+
+	const senders = document.createElement('div')
+	senders.className = 'domain-senders'
+	senders.textContent = browserApi.i18n.getMessage('domainSenders', [item.members.length, item.members.map(m => m.email).join(', ')])
+	cell.appendChild(senders)
+
+	// Existing per-user rules the domain rule would make redundant
+	const covered = rules.filter(r => r.emails.length > 0 && r.emails.every(e => domainOf(e) === item.domain)).length
+	if (covered) {
+		const note = document.createElement('div')
+		note.className = 'domain-covers'
+		note.textContent = browserApi.i18n.getMessage('domainCoversRules', [covered])
+		cell.appendChild(note)
+	}
+	return cell
+}
+
+// Exclude an item from discovery for good and drop it from the list
+async function neverSuggest(item) {
+	state.exclusions = addExclusions(state.exclusions, exclusionsForItem(item))
+	await saveExclusions(browserApi)($('account').value, state.exclusions)
+	state.discovered = state.discovered.filter(i => i !== item)
+	renderDiscovery()
+	setStatus('statusDiscovery', browserApi.i18n.getMessage('neverSuggestDone', [item.email]), 'success')
+}
+
+function renderListCell(item) {
+	const cell = document.createElement('div')
+	cell.className = 'email'
+	cell.textContent = item.list.id
+
+	const name = document.createElement('div')
+	name.className = 'list-name'
+	name.textContent = item.list.name
+		? browserApi.i18n.getMessage('listNamed', [item.list.name])
+		: browserApi.i18n.getMessage('listUnnamed')
+	cell.appendChild(name)
+	return cell
+}
+
+// Contact groups first, then domain aggregation of the remaining senders
+async function applyGrouping() {
+	let items = ungroup(state.discovered)
+
+	$('statusContacts').innerHTML = ''
+	if ($('chkGroupContacts').checked) {
+		if (!state.contacts) state.contacts = await MailClient.listContacts()
+		if (state.contacts.length === 0) {
+			// Try again on the next grouping
+			state.contacts = null
+			setStatus('statusContacts', browserApi.i18n.getMessage('noContacts'), 'warning')
+		} else {
+			items = groupByContact(items, state.contacts)
+		}
+	}
+	if ($('chkDomainMode').checked) {
+		const threshold = parseInt($('domainThreshold').value, 10) || state.config.domainThreshold
+		items = aggregateByDomain(items, threshold)
+	}
+	state.discovered = items.map(item => item.members ? { ...item, ...combineStats(item.members) } : item)
+}
+
+// --- Consolidation ---
+function resetConsolidation() {
+	state.consolidation = null
+	$('consolidatePreview').innerHTML = ''
+	$('consolidateSummary').textContent = ''
+	$('btnApplyConsolidate').disabled = true
+}
+
+function renderConsolidatePreview(result) {
+	const box = $('consolidatePreview')
+	box.innerHTML = ''
+	state.consolidation = result.preview.length ? result : null
+	$('btnApplyConsolidate').disabled = !state.consolidation
+
+	$('consolidateSummary').textContent = result.preview.length
+		? browserApi.i18n.getMessage('consolidateSummary', [result.before, result.after, result.preview.length])
+		: browserApi.i18n.getMessage('consolidateNoChanges')
+
+	const renderRow = (rule, className) => {
+		const row = document.createElement('div')
+		row.className = `rebase-change ${className}`
+		row.textContent = `${rule.name}: ${rule.condition}`
+		return row
+	}
+
+	result.preview.forEach(change => {
+		const item = document.createElement('div')
+		item.className = 'rebase-rule'
+		change.from.forEach(rule => item.appendChild(renderRow(rule, 'from')))
+		change.to.forEach(rule => item.appendChild(renderRow(rule, 'to')))
+		box.appendChild(item)
+	})
+}
+
+// --- Account Rebase ---
+function renderRebaseSources(text) {
+	const sel = $('rebaseFrom')
+	if (!sel) return
+
+	const current = sel.value
+	sel.innerHTML = ''
+	sel.add(new Option(browserApi.i18n.getMessage('rebaseFromAll'), ''))
+	getBaseUris(text || '').forEach(base => sel.add(new Option(base, base, false, base === current)))
+	renderRebasePreview()
+}
+
+function renderRebasePreview() {
+	const box = $('rebasePreview')
+	if (!box) return
+
+	const text = $('pasteInput').value
+	const toBase = $('rebaseTo').value
+	box.innerHTML = ''
+	state.rebase = null
+	$('btnApplyRebase').disabled = true
+
+	if (!text) {
+		$('rebaseSummary').textContent = ''
+		return
+	}
+	if (!isValidBase(toBase)) {
+		$('rebaseSummary').textContent = browserApi.i18n.getMessage('rebaseInvalidBase')
+		return
+	}
+
+	const result = rebaseRules(text, {
+		toBase,
+		fromBase: $('rebaseFrom').value,
+		fromPrefix: $('rebasePrefixFrom').value,
+		toPrefix: $('rebasePrefixTo').value
+	})
+
+	const actionCount = result.preview.reduce((n, entry) => n + entry.changes.length, 0)
+	$('rebaseSummary').textContent = actionCount
+		? browserApi.i18n.getMessage('rebaseSummary', [actionCount, result.preview.length])
+		: browserApi.i18n.getMessage('rebaseNoChanges')
+
+	result.preview.forEach(entry => {
+		const item = document.createElement('div')
+		item.className = 'rebase-rule'
+
+		const name = document.createElement('div')
+		name.className = 'rule-name'
+		name.textContent = entry.name
+		item.appendChild(name)
+
+		entry.changes.forEach(change => {
+			const row = document.createElement('div')
+			row.className = 'rebase-change'
+			const from = document.createElement('div')
+			from.className = 'from'
+			from.textContent = change.from
+			const to = document.createElement('div')
+			to.textContent = `→ ${change.to}`
+			row.append(from, to)
+			item.appendChild(row)
+		})
+
+		box.appendChild(item)
+	})
+
+	state.rebase = result
+	$('btnApplyRebase').disabled = actionCount === 0
+}
+
+// Align planned paths with folder names that differ only in case/normalisation
+function resolveDiscoveryPaths() {
+	const existing = state.folders.map(f => f.cleanPath)
+	const planned = state.discovered.map(i => i.path).filter(Boolean)
+	const collisions = findCollisions(planned, existing)
+	const resolve = collisionResolver(planned, existing)
+
+	state.discovered = state.discovered.map(item => {
+		const path = item.path ? resolve(item.path) : item.path
+		return { ...item, path, adjusted: path !== item.path }
+	})
+	return collisions
+}
+
+// Re-map discovered senders after the root or folder structure changed
+function refreshDiscoveryPaths() {
+	if (state.discovered.length === 0) return
+
+	if (state.discoverySource === 'folders') {
+		$('btnFindUnmapped').click()
+		return
+	}
+
+	state.discovered = state.discovered.map(withProposedPath(getActiveStrategy()))
+	resolveDiscoveryPaths()
+	renderDiscovery()
+}
+
+// --- Merge Preview ---
+function updateMergedOutput() {
+	let merged = serializeFile(applyMerge(state.merge.plan, state.merge.resolutions))
+
+	// Sort merged content if requested
+	if ($('chkSortDownload').checked) {
+		merged = RuleEngine.sortRawRules(merged)
+	}
+
+	$('mergedOut').value = merged
+}
+
+function renderConflict(conflict) {
+	const row = document.createElement('div')
+	row.className = 'merge-conflict'
+
+	const label = document.createElement('div')
+	label.textContent = browserApi.i18n.getMessage('mergeConflict',
+		[conflict.email, conflict.existingPath, conflict.incomingPath])
+	row.appendChild(label)
+
+	const sides = [
+		[MERGE_SIDE.EXISTING, 'mergeKeepExisting'],
+		[MERGE_SIDE.INCOMING, 'mergeUseNew']
+	]
+	sides.forEach(([side, msgKey]) => {
+		const id = `merge-${conflict.id}-${side}`
+		const radio = document.createElement('input')
+		radio.type = 'radio'
+		radio.name = `merge-${conflict.id}`
+		radio.id = id
+		radio.checked = (state.merge.resolutions[conflict.id] || MERGE_SIDE.EXISTING) === side
+		radio.onchange = () => {
+			state.merge.resolutions[conflict.id] = side
+			updateMergedOutput()
+		}
+
+		const lbl = document.createElement('label')
+		lbl.htmlFor = id
+		lbl.className = 'inline'
+		lbl.textContent = browserApi.i18n.getMessage(msgKey)
+
+		row.append(radio, lbl)
+	})
+
+	return row
+}
+
+function renderMergePreview() {
+	const plan = planMerge($('pasteInput').value, $('genRulesOut').value)
+	state.merge = { plan, resolutions: {} }
+
+	const { added, duplicates, conflicts } = plan.counts
+	$('mergeSummary').textContent = browserApi.i18n.getMessage('mergeSummary', [added, duplicates, conflicts])
+
+	const list = $('mergeConflicts')
+	list.innerHTML = ''
+	plan.entries.flatMap(e => e.conflicts).forEach(c => list.appendChild(renderConflict(c)))
+
+	updateMergedOutput()
+	$('mergePreview').classList.remove('hidden')
+	$('mergePreview').scrollIntoView({ behavior: 'smooth' })
+}
+
 // --- Actions ---
 async function runCreate(paths, statusId, btn) {
 	btn.disabled = true
@@ -212,16 +1190,194 @@ async function runCreate(paths, statusId, btn) {
 	})
 }
 
+// Recipient scans start from the Sent folders, sender scans from the Inbox
+function selectScanSourceForMode() {
+	const use = $('scanMode').value === SCAN_MODES.RECIPIENTS ? 'sent' : 'inbox'
+	const options = [...$('scanSource').options]
+	if (!options.some(o => o.dataset.use === use)) return
+	options.forEach(o => { o.selected = o.dataset.use === use })
+}
+
+// Scan picked folders for senders, streaming progress until complete or stopped
+function runScan(statusId) {
+	const folderIds = [...$('scanSource').selectedOptions].map(o => o.value)
+	const port = browserApi.runtime.connect({ name: 'scan-messages' })
+	const btnScan = $('btnScan')
+	const btnCancel = $('btnCancelScan')
+
+	btnScan.disabled = true
+	btnCancel.classList.remove('hidden')
+	btnCancel.onclick = () => port.postMessage({ action: 'cancel' })
+	setStatus(statusId, browserApi.i18n.getMessage('scanProgressNoTotal', [0, 0]), 'progress')
+
+	const finish = (results) => {
+		port.disconnect()
+		btnScan.disabled = false
+		btnCancel.classList.add('hidden')
+		return results
+	}
+
+	return new Promise(resolve => {
+		port.onMessage.addListener(msg => {
+			if (msg.type === 'progress') {
+				setStatus(statusId, msg.total
+					? browserApi.i18n.getMessage('scanProgress', [msg.current, msg.total, msg.senders])
+					: browserApi.i18n.getMessage('scanProgressNoTotal', [msg.current, msg.senders]), 'progress')
+			} else if (msg.type === 'complete') {
+				resolve(finish(msg.results))
+			} else if (msg.type === 'error') {
+				setStatus(statusId, msg.error, 'error')
+				resolve(finish(null))
+			}
+		})
+		port.postMessage({
+			action: 'scan',
+			accountId: $('account').value,
+			folderIds,
+			includeSubfolders: $('chkScanSubfolders').checked,
+			fromDate: $('scanFrom').value,
+			toDate: $('scanTo').value,
+			limit: state.config.scanLimit,
+			mode: $('scanMode').value,
+			detectLists: $('chkDetectLists').checked
+		})
+	})
+}
+
+// --- Message Filing ---
+// Offer filing of existing messages for the folders just created from discovery
+function showFiling(items) {
+	state.filing = filingTargets(items)
+	$('filePreview').innerHTML = ''
+	$('btnFileMessages').disabled = true
+	$('statusFiling').innerHTML = ''
+	$('fileArea').classList.remove('hidden')
+}
+
+async function renderUndoFiling() {
+	const log = await getFilingLog(browserApi)($('account').value)
+	const last = log[log.length - 1]
+	$('btnUndoFiling').classList.toggle('hidden', !last)
+	if (last) $('btnUndoFiling').title = browserApi.i18n.getMessage('undoFilingHint', [last.moves.length, new Date(last.movedAt).toLocaleString()])
+}
+
+function renderFilingCounts(results) {
+	const box = $('filePreview')
+	box.innerHTML = ''
+	results.counts.forEach(({ path, count }) => {
+		const row = document.createElement('div')
+		row.className = 'rebase-change'
+		row.textContent = browserApi.i18n.getMessage('fileCountRow', [count, path])
+		box.appendChild(row)
+	})
+	results.missing.forEach(path => {
+		const row = document.createElement('div')
+		row.className = 'rebase-change missing'
+		row.textContent = browserApi.i18n.getMessage('fileMissingRow', [path])
+		box.appendChild(row)
+	})
+}
+
+// Run a filing action over the port, streaming progress until complete or stopped
+function runFiling(action) {
+	const port = browserApi.runtime.connect({ name: 'file-messages' })
+	const buttons = ['btnFileDryRun', 'btnFileMessages', 'btnUndoFiling'].map($)
+	const btnCancel = $('btnCancelFiling')
+	const disabled = buttons.map(btn => btn.disabled)
+
+	buttons.forEach(btn => { btn.disabled = true })
+	btnCancel.classList.remove('hidden')
+	btnCancel.onclick = () => port.postMessage({ action: 'cancel' })
+	setStatus('statusFiling', browserApi.i18n.getMessage('fileMatching', [0, 0]), 'progress')
+
+	const finish = (results) => {
+		port.disconnect()
+		buttons.forEach((btn, i) => { btn.disabled = disabled[i] })
+		btnCancel.classList.add('hidden')
+		return results
+	}
+
+	return new Promise(resolve => {
+		port.onMessage.addListener(msg => {
+			if (msg.type === 'progress') {
+				setStatus('statusFiling', msg.total
+					? browserApi.i18n.getMessage('fileProgress', [msg.current, msg.total])
+					: browserApi.i18n.getMessage('fileMatching', [msg.current, msg.matched]), 'progress')
+			} else if (msg.type === 'complete') {
+				resolve(finish(msg.results))
+			} else if (msg.type === 'error') {
+				setStatus('statusFiling', msg.error, 'error')
+				resolve(finish(null))
+			}
+		})
+		port.postMessage({
+			action,
+			accountId: $('account').value,
+			folderIds: [...$('scanSource').selectedOptions].map(o => o.value),
+			targets: state.filing || [],
+			mode: state.discoverySource === 'scan' ? state.scanMode : SCAN_MODES.SENDERS,
+			copy: $('fileMode').value === 'copy'
+		})
+	})
+}
+
+// --- Background Discovery Queue ---
+// Opened from the unmapped senders notification: "#queue=<accountId>" loads the
+// senders queued by background scans into the discovery list
+async function openQueueFromHash() {
+	const accountId = decodeURIComponent(location.hash.slice(QUEUE_HASH_PREFIX.length))
+	history.replaceState(null, '', location.pathname)
+	if (state.accounts.some(a => a.id === accountId)) $('account').value = accountId
+	if (!$('account').value) return
+
+	await loadAccount($('account').value)
+	if ($('account').value !== accountId) return
+
+	const queue = await getDiscoveryQueue(browserApi)(accountId)
+	state.discoverySource = 'scan'
+	state.scanMode = SCAN_MODES.SENDERS
+	$('scanMode').value = SCAN_MODES.SENDERS
+	state.discovered = queue.map(sender => ({ ...sender, selected: true }))
+	await applyGrouping()
+	state.discovered = state.discovered
+		.map(withProposedPath(getActiveStrategy()))
+		.filter(item => item.path)
+
+	const collisions = resolveDiscoveryPaths()
+	renderDiscovery()
+	setStatus('statusDiscovery', collisions.length
+		? browserApi.i18n.getMessage('collisionsFound', [state.discovered.length, collisions.length])
+		: browserApi.i18n.getMessage('queueLoaded', [state.discovered.length]), collisions.length ? 'warning' : 'success')
+	$('genRulesArea').classList.remove('hidden')
+}
+
+
+const updateScanButton = () => {
+	const btnScan = $('btnScan')
+	if (btnScan) btnScan.textContent = state.config.scanLimit
+		? browserApi.i18n.getMessage('scanAndDiscoverLimit', [state.config.scanLimit])
+		: browserApi.i18n.getMessage('scanAndDiscoverAll')
+}
+
 // --- Events ---
 document.addEventListener('DOMContentLoaded', async () => {
 	// I18N
 	document.querySelectorAll('[data-i18n]').forEach(el => el.textContent = browserApi.i18n.getMessage(el.dataset.i18n))
+	document.querySelectorAll('[data-i18n-placeholder]').forEach(el => el.placeholder = browserApi.i18n.getMessage(el.dataset.i18nPlaceholder))
 
 	// Load stored config
 	await loadConfig()
 
 	// Storage Listener for Real-time updates from the Modal/Options Page
 	browserApi.storage.onChanged.addListener((changes, area) => {
+		if (area === 'local' && changes[STORAGE_KEYS.PATH_CHANGES($('account').value)]) {
+			renderPathChanges().catch(console.error)
+		}
+		const exclusionChange = area === 'local' && changes[STORAGE_KEYS.EXCLUSIONS($('account').value)]
+		if (exclusionChange) state.exclusions = exclusionChange.newValue || []
+		if (area === 'local' && changes[STORAGE_KEYS.PENDING_SENDERS($('account').value)]) {
+			renderPendingSenders().catch(console.error)
+		}
 		if (area === 'sync') {
 			Object.keys(changes).forEach(key => {
 				state.config[key] = changes[key].newValue;
@@ -229,7 +1385,15 @@ document.addEventListener('DOMContentLoaded', async () => {
 			
 			// Reflect in UI immediately
 			if($('mergeCase')) $('mergeCase').checked = state.config.mergeCase
-			if($('btnScan')) $('btnScan').textContent = browserApi.i18n.getMessage('scanAndDiscoverLimit', [state.config.scanLimit])
+			updateScanButton()
+			if (changes.maxConditions) $('consolidateMax').value = state.config.maxConditions
+			if (changes.ruleTemplates) renderTemplateOptions()
+			if (changes.domainThreshold) $('domainThreshold').value = state.config.domainThreshold
+			const mappingKeys = ['mappingStrategy', 'mappingTemplate', 'subdomainLevels', 'segmentReplacements', 'asciiFolderNames']
+			if (mappingKeys.some(key => changes[key])) {
+				applyStrategyConfig()
+				refreshDiscoveryPaths()
+			}
 		}
 	})
 
@@ -257,35 +1421,127 @@ document.addEventListener('DOMContentLoaded', async () => {
 		console.error("Failed to list accounts", e)
 	}
 
+	state.accounts = accounts
+
 	const accSel = $('account')
 	accSel.innerHTML = ''
 	accounts.forEach(a => accSel.add(new Option(a.name, a.id)))
 
-	if (accounts.length) {
+	// Account Rebase
+	const rebaseAccount = $('rebaseAccount')
+	accounts.forEach(a => rebaseAccount.add(new Option(a.name, a.id)))
+	// Only pre-filled when the base is known from the account's own rules
+	rebaseAccount.onchange = async () => {
+		$('rebaseTo').value = (await getAccountBaseUri(accounts.find(a => a.id === rebaseAccount.value))) || ''
+		renderRebasePreview()
+	}
+	if (accounts.length) rebaseAccount.onchange().catch(console.error)
+
+	const rebaseInputs = ['rebaseFrom', 'rebaseTo', 'rebasePrefixFrom', 'rebasePrefixTo']
+	rebaseInputs.forEach(id => $(id).oninput = renderRebasePreview)
+
+	// Folder Changes
+	$('btnApplyPathChanges').onclick = () => resolvePathChanges(true).catch(console.error)
+	$('btnDismissPathChanges').onclick = () => resolvePathChanges(false).catch(console.error)
+
+	// Pending Suggestions
+	$('btnApproveAllPending').onclick = () => approvePending(state.pending, $('btnApproveAllPending')).catch(console.error)
+	$('btnDismissAllPending').onclick = () => {
+		$('statusPending').innerHTML = ''
+		dismissPending(state.pending.map(i => i.email)).catch(console.error)
+	}
+
+	const btnMoveFolder = $('btnMoveFolder')
+	btnMoveFolder.onclick = async () => {
+		const accountId = $('account').value
+		const from = $('moveFolderFrom').value
+		const to = $('moveFolderTo').value.trim()
+		if (!accountId || !from || !to) return
+
+		btnMoveFolder.disabled = true
+		setStatus('statusMoveFolder', browserApi.i18n.getMessage('movingFolder'), 'progress')
+
+		const res = await browserApi.runtime.sendMessage({ action: 'moveFolder', accountId, from, to })
+		if (res.error) {
+			setStatus('statusMoveFolder', res.error, 'error')
+			btnMoveFolder.disabled = false
+			return
+		}
+
+		const { content, preview } = applyPathChanges(await getCurrentRules(accountId), [res])
+		if (content) await setRules(content)
+
+		setStatus('statusMoveFolder', browserApi.i18n.getMessage('folderMoved', [res.from, res.to, preview.length]), 'success')
+		$('moveFolderTo').value = ''
+		await loadAccount(accountId)
+		btnMoveFolder.disabled = false
+	}
+
+	// Consolidation
+	$('btnPreviewConsolidate').onclick = () => {
+		const max = parseInt($('consolidateMax').value, 10) || state.config.maxConditions
+		renderConsolidatePreview(consolidateRules($('pasteInput').value, max))
+	}
+	$('btnPreviewSplit').onclick = () => renderConsolidatePreview(splitRules($('pasteInput').value))
+	$('btnApplyConsolidate').onclick = () => {
+		if (!state.consolidation) return
+		setRules(state.consolidation.content)
+	}
+
+	$('btnApplyRebase').onclick = () => {
+		if (!state.rebase) return
+		setRules(state.rebase.content)
+	}
+
+	// Background discovery notifications open the UI with "#queue=<accountId>"
+	window.addEventListener('hashchange', () => {
+		if (location.hash.startsWith(QUEUE_HASH_PREFIX)) openQueueFromHash().catch(console.error)
+	})
+	if (location.hash.startsWith(QUEUE_HASH_PREFIX)) {
+		openQueueFromHash().catch(console.error)
+	} else if (accounts.length) {
 		loadAccount(accounts[0].id).catch(console.error)
 	}
 
 	const pasteInput = $('pasteInput')
-	if (pasteInput && pasteInput.value) {
-		updateRuleStats(pasteInput.value)
-	}
 
 	accSel.onchange = () => loadAccount(accSel.value).catch(console.error)
 
+	// Root Memory
+	$('memoryFilter').oninput = renderMemory
+	$('btnAddMemory').onclick = () => {
+		const key = $('memoryKey').value.trim()
+		const kind = $('memoryKind').value
+		const root = $('memoryRoot').value
+		if (!key || !$('account').value) return
+		updateMemory(memory => setEntry(memory, kind, key, root))
+			.catch(console.error)
+		$('memoryKey').value = ''
+		$('memoryRoot').value = ''
+	}
+
+	$('hierarchyDelimiter').onchange = async e => {
+		await saveDelimiterSetting(browserApi)(accSel.value, e.target.value)
+		state.delimiter = MailClient.resolveDelimiter(e.target.value, state.folders)
+		refreshDiscoveryPaths()
+	}
+
 	$('fileInput').onchange = async e => {
 		const text = await e.target.files[0].text()
-		if (pasteInput) pasteInput.value = text
-		updateRuleStats(text)
+		setRules(text)
 	}
 
-	if (pasteInput) pasteInput.oninput = e => updateRuleStats(e.target.value)
+	if (pasteInput) {
+		pasteInput.oninput = e => updateRuleStats(e.target.value)
+		pasteInput.onchange = () => commitRules()
+	}
 	
 	// Sort Button for Input
 	$('btnSortInput').onclick = () => {
 		const val = pasteInput.value
 		if(!val) return
 		const sorted = RuleEngine.sortRawRules(val)
-		pasteInput.value = sorted
+		setRules(sorted)
 		// Visual feedback
 		const btn = $('btnSortInput')
 		const originalText = btn.textContent
@@ -302,7 +1558,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 		const updated = RuleEngine.updateFilterTypes(val)(typeMask)
 		
 		if (updated !== val) {
-			pasteInput.value = updated
+			setRules(updated)
 			const btn = $('btnApplyDefaults')
 			const originalText = btn.textContent
 			btn.textContent = '✓ Applied'
@@ -338,6 +1594,20 @@ document.addEventListener('DOMContentLoaded', async () => {
 		list.innerHTML = ''
 		list.classList.toggle('empty-state', res.missing.length === 0)
 
+		const collisionList = $('collisionList')
+		collisionList.innerHTML = ''
+		const warnings = [
+			...res.collisions.map(describeCollision),
+			...res.escaped.map(e => browserApi.i18n.getMessage('delimiterEscaped', [res.delimiter, e.path, e.escaped]))
+		]
+		warnings.forEach(text => {
+			const div = document.createElement('div')
+			div.className = 'folder-item collision'
+			div.textContent = text
+			collisionList.appendChild(div)
+		})
+		$('btnEscapeUris').classList.toggle('hidden', res.escaped.length === 0)
+
 		if (res.missing.length === 0) {
 			list.textContent = browserApi.i18n.getMessage('allFoldersExist')
 			$('btnCreateMissing').disabled = true
@@ -358,10 +1628,18 @@ document.addEventListener('DOMContentLoaded', async () => {
 	const btnCreateMissing = $('btnCreateMissing')
 	if (btnCreateMissing) btnCreateMissing.onclick = () => runCreate(state.missing, 'statusFolders', btnCreateMissing)
 
+	// Rewrite rule URIs whose folder names contain the server delimiter
+	$('btnEscapeUris').onclick = () => {
+		const { content, preview } = escapeRuleUris(pasteInput.value, state.delimiter)
+		setRules(content)
+		$('btnEscapeUris').classList.add('hidden')
+		setStatus('statusFolders', browserApi.i18n.getMessage('urisEscaped', [preview.length]), 'success')
+	}
+
 	// Discovery
 	$('btnInfer').onclick = () => {
 		const rules = RuleEngine.parse($('pasteInput').value)
-		const root = RuleEngine.inferRoot(rules)
+		const root = RuleEngine.inferRoot(rules, getActiveStrategy().toPath)
 		if (root) {
 			$('targetRoot').value = root
 			setStatus('statusDiscovery', browserApi.i18n.getMessage('rootInferred', [root]), 'success')
@@ -372,38 +1650,101 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 	$('formDiscovery').onsubmit = async e => {
 		e.preventDefault()
-		setStatus('statusDiscovery', 'Scanning...', 'progress')
-		const emails = await browserApi.runtime.sendMessage({
-			action: 'scanMessages',
-			folderId: $('scanSource').value,
-			limit: state.config.scanLimit // Use Config
-		})
+		if ($('scanSource').selectedOptions.length === 0) {
+			setStatus('statusDiscovery', browserApi.i18n.getMessage('noScanFolders'), 'warning')
+			return
+		}
+		const scan = await runScan('statusDiscovery')
+		if (!scan) return
 
-		const existingEmails = new Set(RuleEngine.parse($('pasteInput').value).flatMap(r => r.emails))
-		const root = $('targetRoot').value.replace(/\/$/, '')
-
-		state.discovered = emails
-			.filter(e => !existingEmails.has(e))
-			.map(email => {
-				const suffix = RuleEngine.emailToPath(email)
-				return suffix ? {
-					email,
-					path: root ? `${root}/${suffix}` : suffix,
-					selected: true
-				} : null
-			})
-			.filter(Boolean)
+		const rules = RuleEngine.parse($('pasteInput').value)
+		const existingEmails = new Set(rules.flatMap(r => r.emails))
+		const coveredDomains = new Set(rules.filter(r => r.enabled).flatMap(domainRuleDomains))
+		const routedLists = new Set(rules.flatMap(listRuleIds))
+
+		state.discoverySource = 'scan'
+		state.scanMode = $('scanMode').value
+		// Frequent correspondents first
+		if (state.scanMode === SCAN_MODES.RECIPIENTS) state.sort = { col: 'count', dir: -1 }
+		state.discovered = scan.senders
+			.filter(s => !existingEmails.has(s.email) && !coveredDomains.has(domainOf(s.email)))
+			.map(sender => ({ ...sender, selected: true }))
+		await applyGrouping()
+		const lists = scan.lists
+			.filter(l => !routedLists.has(l.id))
+			.map(({ id, name, ...stats }) => ({ ...stats, email: id, list: { id, name }, selected: true }))
+		state.discovered = [...lists, ...state.discovered]
+		state.discovered = state.discovered
+			.map(withProposedPath(getActiveStrategy()))
+			.filter(item => item.path)
 
+		const collisions = resolveDiscoveryPaths()
 		renderDiscovery()
-		setStatus('statusDiscovery', `Found ${state.discovered.length}`, 'success')
+		const domains = state.discovered.filter(i => i.domain)
+		const listCount = state.discovered.filter(i => i.list).length
+		if (collisions.length) {
+			setStatus('statusDiscovery', browserApi.i18n.getMessage('collisionsFound', [state.discovered.length, collisions.length]), 'warning')
+		} else if (domains.length) {
+			const senders = domains.reduce((n, i) => n + i.members.length, 0)
+			setStatus('statusDiscovery', browserApi.i18n.getMessage('domainsAggregated', [state.discovered.length, domains.length, senders]), 'success')
+		} else if (listCount) {
+			setStatus('statusDiscovery', browserApi.i18n.getMessage('listsDetected', [state.discovered.length, listCount]), 'success')
+		} else {
+			setStatus('statusDiscovery', `Found ${state.discovered.length}`, 'success')
+		}
+		if (scan.cancelled) {
+			setStatus('statusDiscovery', `${browserApi.i18n.getMessage('scanStopped', [scan.scanned])} Found ${state.discovered.length}`, 'warning')
+		}
 		$('genRulesArea').classList.remove('hidden')
 	}
 
+	// Reverse mapping: existing sender folders without rules
+	$('btnFindUnmapped').onclick = () => {
+		const root = $('targetRoot').value.trim()
+		if (!root) {
+			setStatus('statusDiscovery', browserApi.i18n.getMessage('rootRequired'), 'warning')
+			return
+		}
+
+		const rules = RuleEngine.parse($('pasteInput').value)
+		state.discoverySource = 'folders'
+		const isExcluded = compileExclusions(state.exclusions)
+		state.discovered = RuleEngine.findUnmappedFolders(state.folders, root, rules, getActiveStrategy().toAddress)
+			.filter(item => !isExcluded(item.email))
+			.map(item => ({ ...item, selected: true }))
+
+		renderDiscovery()
+		setStatus('statusDiscovery', browserApi.i18n.getMessage('unmappedFound', [state.discovered.length]), 'success')
+		$('genRulesArea').classList.remove('hidden')
+	}
+
+	// Live preview of the folder structure
+	$('pathStrategy').onchange = () => {
+		$('pathTemplate').disabled = $('pathStrategy').value !== 'template'
+		refreshDiscoveryPaths()
+	}
+	$('pathTemplate').oninput = refreshDiscoveryPaths
+	$('scanMode').onchange = selectScanSourceForMode
+	const regroup = async () => {
+		if (state.discoverySource !== 'scan') return
+		await applyGrouping()
+		refreshDiscoveryPaths()
+	}
+	$('chkGroupContacts').onchange = regroup
+	$('chkDomainMode').onchange = () => {
+		$('domainOptions').classList.toggle('hidden', !$('chkDomainMode').checked)
+		regroup()
+	}
+	$('domainThreshold').oninput = regroup
+	$('targetRoot').oninput = refreshDiscoveryPaths
+
 	const selectAll = $('selectAllDiscovery')
 	if (selectAll) selectAll.onchange = e => {
-		state.discovered.forEach(i => i.selected = e.target.checked)
+		visibleDiscovered().forEach(i => i.selected = e.target.checked)
 		renderDiscovery()
 	}
+	$('filterMinCount').oninput = renderDiscovery
+	$('filterLastSeen').onchange = renderDiscovery
 
 	document.querySelectorAll('.sortable').forEach(el => el.onclick = () => {
 		const col = el.dataset.sort
@@ -413,14 +1754,45 @@ document.addEventListener('DOMContentLoaded', async () => {
 	})
 
 	const btnCreateDiscovered = $('btnCreateDiscovered')
-	if (btnCreateDiscovered) btnCreateDiscovered.onclick = () => {
-		const paths = state.discovered.filter(i => i.selected).map(i => i.path)
-		runCreate(paths, 'statusDiscovery', btnCreateDiscovered)
+	if (btnCreateDiscovered) btnCreateDiscovered.onclick = async () => {
+		const selected = visibleDiscovered().filter(i => i.selected && i.path)
+		const paths = [...new Set(selected.map(i => i.path))]
+		await runCreate(paths, 'statusDiscovery', btnCreateDiscovered)
+		showFiling(selected)
+	}
+
+	// Retroactive filing of existing messages into the created folders
+	$('btnFileDryRun').onclick = async () => {
+		const results = await runFiling('countFiling')
+		if (!results) return
+		renderFilingCounts(results)
+		const total = results.counts.reduce((n, c) => n + c.count, 0)
+		$('btnFileMessages').disabled = total === 0 || results.cancelled
+		setStatus('statusFiling', results.cancelled
+			? browserApi.i18n.getMessage('scanStopped', [results.scanned])
+			: browserApi.i18n.getMessage('fileDryRunDone', [total, results.counts.length, results.scanned]), results.cancelled ? 'warning' : 'success')
 	}
 
+	$('btnFileMessages').onclick = async () => {
+		const results = await runFiling('file')
+		if (!results) return
+		$('btnFileMessages').disabled = true
+		const key = results.copy ? 'fileCopied' : 'fileMoved'
+		setStatus('statusFiling', browserApi.i18n.getMessage(key, [results.filed, results.total]), results.cancelled ? 'warning' : 'success')
+		await renderUndoFiling()
+	}
+
+	$('btnUndoFiling').onclick = async () => {
+		const results = await runFiling('undoFiling')
+		if (!results) return
+		setStatus('statusFiling', browserApi.i18n.getMessage('fileRestored', [results.restored, results.total]), results.cancelled ? 'warning' : 'success')
+		await renderUndoFiling()
+	}
+	$('fileMode').onchange = () => { $('btnFileMessages').disabled = true }
+
 	const btnGenRules = $('btnGenRules')
 	if (btnGenRules) btnGenRules.onclick = () => {
-		const selected = state.discovered.filter(i => i.selected)
+		const selected = visibleDiscovered().filter(i => i.selected && i.path)
 		
 		// Check for account/rules mismatch
 		const mismatch = validateAccountRulesMatch()
@@ -454,18 +1826,36 @@ document.addEventListener('DOMContentLoaded', async () => {
 			// User wants to override with selected account
 			base = state.accountBaseUri || "imap://REPLACE_ME"
 		} else {
-			// Use rules base URI if available, otherwise account
-			const rulesBase = RuleEngine.extractBaseUri($('pasteInput').value)
-			base = (rulesBase && rulesBase !== "imap://REPLACE_ME") ? rulesBase : (state.accountBaseUri || "imap://REPLACE_ME")
+			base = ruleBaseUri()
 		}
 		
-		// Use configured filter mask
+		// Use configured filter mask and any extra actions picked
 		const typeMask = getFilterTypeMask()
-		const genBlock = RuleEngine.generateBlock(base)
-		$('genRulesOut').value = selected.map(i => genBlock(i.email, i.path, typeMask)).join('\n')
+		const extraActions = [...document.querySelectorAll('.extra-action:checked')]
+			.map(el => ({ type: el.dataset.action }))
+		const picked = findTemplate(listTemplates(state.config.ruleTemplates), $('ruleTemplate').value)
+		// Recipients found in Sent get rules matching both directions
+		const conversation = state.discoverySource === 'scan' && state.scanMode === SCAN_MODES.RECIPIENTS
+		const both = conversation ? CONVERSATION_RULE_MATCH : {}
+		const genBlock = RuleEngine.generateBlock(base, state.delimiter, { ...picked, ...both })
+		const genGroup = RuleEngine.generateGroupBlock(base, state.delimiter, { ...picked, ...both })
+		const genDomain = RuleEngine.generateBlock(base, state.delimiter, { ...picked, ...DOMAIN_RULE_MATCH, ...both })
+		const genList = RuleEngine.generateGroupBlock(base, state.delimiter, { ...picked, ...LIST_RULE_MATCH })
+		$('genRulesOut').value = selected.map(i => {
+			if (i.list) return genList({ name: i.list.name || i.list.id, emails: [i.list.id] }, i.path, typeMask, extraActions)
+			if (i.emails) return genGroup({ name: i.contact.name || i.email, emails: i.emails }, i.path, typeMask, extraActions)
+			return isDomainAddress(i.email)
+				? genDomain(i.email, i.path, typeMask, extraActions)
+				: genBlock(i.email, i.path, typeMask, extraActions)
+		}).join('\n')
 		$('genRulesArea').scrollIntoView({ behavior: 'smooth' })
 	}
 	
+	document.querySelectorAll('.extra-action, #ruleTemplate').forEach(el => el.onchange = () => {
+		if (!$('genRulesOut').value) return
+		$('btnGenRules').click()
+	})
+
 	// Track user interaction with override checkbox
 	const overrideCheckbox = $('chkOverrideAccount')
 	if (overrideCheckbox) {
@@ -477,15 +1867,17 @@ document.addEventListener('DOMContentLoaded', async () => {
 	}
 
 	const btnDownload = $('btnDownload')
-	if (btnDownload) btnDownload.onclick = async () => {
-		let combined = ($('pasteInput').value || '') + '\n' + ($('genRulesOut').value || '')
-		
-		// Sort combined content if requested
-		if ($('chkSortDownload').checked) {
-			combined = RuleEngine.sortRawRules(combined)
-		}
+	if (btnDownload) btnDownload.onclick = renderMergePreview
+
+	const chkSortDownload = $('chkSortDownload')
+	if (chkSortDownload) chkSortDownload.onchange = () => {
+		if (state.merge.plan) updateMergedOutput()
+	}
+
+	const btnSaveMerged = $('btnSaveMerged')
+	if (btnSaveMerged) btnSaveMerged.onclick = () => downloadRules($('mergedOut').value)
 
-		const url = URL.createObjectURL(new Blob([combined], { type: 'text/plain' }))
-		await browserApi.downloads.download({ url, filename: 'msgFilterRules.dat', saveAs: true })
+	$('btnDownloadRules').onclick = () => {
+		if (pasteInput.value) downloadRules(pasteInput.value)
 	}
 })
\ No newline at end of file
@@ -119,6 +119,21 @@ export const chunk = (size, arr) => {
 	return chunks
 }
 
+/**
+ * Map an array with an async function, a chunk at a time
+ * @param {number} size - Calls running at once
+ * @param {Function} fn - Async mapping function
+ * @param {Array} arr - Array to map
+ * @returns {Promise<Array>} Results in input order
+ */
+export const mapInChunks = async (size, fn, arr) => {
+	const results = []
+	for (const part of chunk(size, arr)) {
+		results.push(...await Promise.all(part.map(fn)))
+	}
+	return results
+}
+
 /**
  * Partition array by predicate
  * @param {Function} predicate - Partitioning predicate